@@ -0,0 +1,74 @@
+const screenshot = document.getElementById('screenshot');
+const dim = document.getElementById('dim');
+const selection = document.getElementById('selection');
+const sizeLabel = document.getElementById('size-label');
+const hint = document.getElementById('hint');
+
+let isSelecting = false;
+let startX = 0;
+let startY = 0;
+let currentRect = null;
+
+skitch.onCaptureOverlayInit((payload) => {
+    screenshot.src = payload.dataUrl;
+});
+
+function done(result) {
+    skitch.captureOverlayDone(result);
+}
+
+function updateSelection(e) {
+    const x = Math.min(startX, e.clientX);
+    const y = Math.min(startY, e.clientY);
+    const width = Math.abs(e.clientX - startX);
+    const height = Math.abs(e.clientY - startY);
+    currentRect = { x, y, width, height };
+
+    selection.style.left = x + 'px';
+    selection.style.top = y + 'px';
+    selection.style.width = width + 'px';
+    selection.style.height = height + 'px';
+
+    sizeLabel.textContent = `${width} × ${height}`;
+    sizeLabel.style.left = x + 'px';
+    sizeLabel.style.top = Math.max(0, y - 24) + 'px';
+}
+
+document.addEventListener('mousedown', (e) => {
+    if (e.button !== 0) return;
+    isSelecting = true;
+    startX = e.clientX;
+    startY = e.clientY;
+    dim.style.display = 'none';
+    hint.style.display = 'none';
+    selection.style.display = 'block';
+    sizeLabel.style.display = 'block';
+    updateSelection(e);
+});
+
+document.addEventListener('mousemove', (e) => {
+    if (!isSelecting) return;
+    updateSelection(e);
+});
+
+document.addEventListener('mouseup', () => {
+    if (!isSelecting) return;
+    isSelecting = false;
+
+    // Ignore accidental clicks and let the user try again
+    if (!currentRect || currentRect.width < 5 || currentRect.height < 5) {
+        selection.style.display = 'none';
+        sizeLabel.style.display = 'none';
+        dim.style.display = 'block';
+        hint.style.display = 'block';
+        currentRect = null;
+        return;
+    }
+    done(currentRect);
+});
+
+window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        done(null);
+    }
+});
@@ -0,0 +1,30 @@
+const windowList = document.getElementById('window-list');
+
+function done(result) {
+    skitch.captureOverlayDone(result);
+}
+
+skitch.onCaptureOverlayInit((payload) => {
+    windowList.innerHTML = '';
+    payload.windows.forEach(win => {
+        const item = document.createElement('div');
+        item.className = 'window-item';
+        item.title = win.name;
+
+        const preview = document.createElement('img');
+        preview.src = win.preview;
+        const label = document.createElement('span');
+        label.textContent = win.name;
+
+        item.appendChild(preview);
+        item.appendChild(label);
+        item.addEventListener('click', () => done(win.id));
+        windowList.appendChild(item);
+    });
+});
+
+window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        done(null);
+    }
+});
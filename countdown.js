@@ -0,0 +1,9 @@
+const countdown = document.getElementById('countdown');
+
+skitch.onCountdownTick((remaining) => {
+    countdown.textContent = remaining;
+});
+
+countdown.addEventListener('click', () => {
+    skitch.cancelCountdown();
+});
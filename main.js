@@ -1,25 +1,42 @@
-const { app, BrowserWindow, Tray, Menu, ipcMain, globalShortcut, dialog, clipboard, nativeImage } = require('electron');
+const { app, BrowserWindow, Tray, Menu, ipcMain, globalShortcut, dialog, clipboard, nativeImage, desktopCapturer, screen } = require('electron');
 const path = require('path');
 const fs = require('fs');
 
-let mainWindow;
+let mainWindow; // The most recently focused document window
 let tray = null;
+const documentWindows = new Set();
+let documentCounter = 0;
+
+const PROJECT_EXTENSION = 'skitch';
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp'];
+
+// Files handed to the app ("Open with", command line) before it was ready
+let pendingFiles = [];
+
+// Every page runs isolated and sandboxed, without Node; preload.js gives it the IPC API
+const WEB_PREFERENCES = {
+    preload: path.join(__dirname, 'preload.js'),
+    contextIsolation: true,
+    nodeIntegration: false,
+    sandbox: true
+};
 
 if (process.platform === 'darwin') {
     app.setName('Simple Skitch');
 }
 
-function createWindow() {
-    mainWindow = new BrowserWindow({
+// Every document gets its own window (and renderer), so each one owns its canvas,
+// history and zoom. options.docId namespaces its history in IndexedDB,
+// options.restore tells it how to treat a previous session ('ask' or 'resume'),
+// options.load is a document payload to open once the page is ready.
+function createWindow(options = {}) {
+    const win = new BrowserWindow({
         width: 1200,
         height: 800,
         icon: path.join(__dirname, 'assets', 'logo.png'),
         // frame: false, // Optional: for custom look
         // transparent: true, // Optional: for transparency
-        webPreferences: {
-            nodeIntegration: true,
-            contextIsolation: false // For simplicity in this prototype. Better to use preload in prod.
-        },
+        webPreferences: WEB_PREFERENCES,
         show: false // Don't show until ready
     });
 
@@ -28,15 +45,62 @@ function createWindow() {
         app.dock.setIcon(icon);
     }
 
-    mainWindow.loadFile('index.html');
+    documentCounter++;
+    const query = { doc: options.docId || `doc-${Date.now()}-${documentCounter}` };
+    if (options.restore) {
+        query.restore = options.restore;
+    }
+    win.loadFile('index.html', { query });
 
-    mainWindow.on('close', (event) => {
+    if (options.load) {
+        win.webContents.once('did-finish-load', () => {
+            win.webContents.send('load-document', options.load);
+        });
+    }
+    if (options.show) {
+        win.once('ready-to-show', () => win.show());
+    }
+
+    documentWindows.add(win);
+    mainWindow = win;
+
+    win.on('focus', () => {
+        mainWindow = win;
+    });
+
+    win.on('close', (event) => {
         if (!app.isQuitting) {
             event.preventDefault();
-            mainWindow.hide();
+            if (documentWindows.size === 1 && settings.closeToTray) {
+                // The last document stays alive in the tray
+                win.hide();
+            } else if (documentWindows.size === 1) {
+                // Quitting keeps the session, so the document can be restored on the next launch
+                app.isQuitting = true;
+                app.quit();
+            } else {
+                // Let the document confirm unsaved changes, it answers with close-document-window
+                win.webContents.send('request-close');
+            }
         }
         return false;
     });
+
+    win.on('closed', () => {
+        documentWindows.delete(win);
+        if (mainWindow === win) {
+            mainWindow = [...documentWindows].pop() || null;
+        }
+    });
+
+    return win;
+}
+
+function getActiveWindow() {
+    if (!mainWindow || mainWindow.isDestroyed()) {
+        createWindow();
+    }
+    return mainWindow;
 }
 
 function createTray() {
@@ -46,8 +110,38 @@ function createTray() {
     tray = new Tray(icon.isEmpty() ? nativeImage.createEmpty() : icon);
     tray.setToolTip('Simple Skitch');
 
+    const shortcuts = loadCaptureShortcuts();
     const contextMenu = Menu.buildFromTemplate([
-        { label: 'Show App', click: () => mainWindow.show() },
+        { label: 'Show App', click: () => getActiveWindow().show() },
+        { label: 'New Window', click: () => createWindow({ show: true }) },
+        { label: 'Preferences...', click: openPreferences },
+        { type: 'separator' },
+        { label: 'Capture Full Screen', accelerator: shortcuts.fullscreen, registerAccelerator: false, click: () => startCapture('fullscreen') },
+        { label: 'Capture Window...', accelerator: shortcuts.window, registerAccelerator: false, click: () => startCapture('window') },
+        { label: 'Capture Region', accelerator: shortcuts.region, registerAccelerator: false, click: () => startCapture('region') },
+        {
+            label: 'Timed Capture',
+            submenu: [
+                ...TIMED_CAPTURE_PRESETS.map(seconds => ({
+                    label: `${seconds} Seconds`,
+                    click: () => startCapture(timedCaptureMode, seconds)
+                })),
+                {
+                    label: 'Custom Delay...', click: () => {
+                        const win = getActiveWindow();
+                        win.show();
+                        win.webContents.send('focus-capture-delay');
+                    }
+                },
+                { type: 'separator' },
+                ...Object.keys(CAPTURE_MODE_LABELS).map(mode => ({
+                    label: CAPTURE_MODE_LABELS[mode],
+                    type: 'radio',
+                    checked: mode === timedCaptureMode,
+                    click: () => { timedCaptureMode = mode; }
+                }))
+            ]
+        },
         { type: 'separator' },
         {
             label: 'Quit', click: () => {
@@ -59,48 +153,669 @@ function createTray() {
 
     tray.setContextMenu(contextMenu);
     tray.on('click', () => {
-        if (mainWindow.isVisible()) {
-            mainWindow.hide();
+        const win = getActiveWindow();
+        if (win.isVisible()) {
+            win.hide();
         } else {
-            mainWindow.show();
+            win.show();
+        }
+    });
+}
+
+// =========== SETTINGS ===========
+// Preferences live in <userData>/settings.json. Only keys that differ from the
+// defaults need to be there; invalid values fall back to the defaults.
+const SETTINGS_FILE = 'settings.json';
+const DEFAULT_SETTINGS = {
+    color: '#ff0000',
+    strokeWidth: 3,
+    fontFamily: 'Arial',
+    fontSize: 20,
+    redactStrength: 12,
+    maxUndoSteps: 100,
+    fileName: 'skitch-{timestamp}', // {timestamp}, {date} and {time} are filled in when saving
+    exportFormat: 'png',
+    saveFolder: '', // Empty for the system's default folder
+    closeToTray: true, // Closing the last window hides it in the tray instead of quitting
+    shortcuts: {} // Changed keyboard shortcuts, { commandId: [binding, ...] } (see shortcuts.js)
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIntegerBetween(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+const SETTING_VALIDATORS = {
+    color: value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value),
+    strokeWidth: value => isIntegerBetween(value, 1, 20),
+    fontFamily: value => typeof value === 'string' && value.trim() !== '',
+    fontSize: value => isIntegerBetween(value, 6, 200),
+    redactStrength: value => isIntegerBetween(value, 4, 40),
+    maxUndoSteps: value => isIntegerBetween(value, 10, 1000),
+    fileName: value => typeof value === 'string' && value.trim() !== '' && !/[\\/:*?"<>|]/.test(value),
+    exportFormat: value => Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, value),
+    saveFolder: value => typeof value === 'string' && (value === '' || path.isAbsolute(value)),
+    closeToTray: value => typeof value === 'boolean',
+    shortcuts: value => isPlainObject(value) && Object.values(value).every(bindings =>
+        Array.isArray(bindings) && bindings.every(binding => typeof binding === 'string' && binding !== ''))
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+let preferencesWindow = null;
+
+// The valid, known keys of values; anything else is dropped
+function validateSettings(values) {
+    const valid = {};
+    if (!isPlainObject(values)) return valid;
+    Object.keys(SETTING_VALIDATORS).forEach(key => {
+        if (key in values && SETTING_VALIDATORS[key](values[key])) {
+            valid[key] = values[key];
+        }
+    });
+    return valid;
+}
+
+function loadSettings() {
+    const settingsPath = path.join(app.getPath('userData'), SETTINGS_FILE);
+    try {
+        if (fs.existsSync(settingsPath)) {
+            settings = { ...DEFAULT_SETTINGS, ...validateSettings(JSON.parse(fs.readFileSync(settingsPath, 'utf8'))) };
         }
+    } catch (e) {
+        console.log('Error reading settings: ' + e);
+    }
+}
+
+// Save settings and send them to every open window, which apply them right away
+function updateSettings(values) {
+    settings = { ...settings, ...validateSettings(values) };
+    try {
+        fs.writeFileSync(path.join(app.getPath('userData'), SETTINGS_FILE), JSON.stringify(settings, null, 2), 'utf8');
+    } catch (e) {
+        console.log('Error saving settings: ' + e);
+    }
+    BrowserWindow.getAllWindows().forEach(win => win.webContents.send('settings-changed', settings));
+    return settings;
+}
+
+// The default file name for a save dialog, in the save folder if one is set
+function getDefaultSavePath(extension) {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const name = settings.fileName
+        .replace(/\{timestamp\}/g, now.getTime())
+        .replace(/\{date\}/g, `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`)
+        .replace(/\{time\}/g, `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`);
+    const fileName = `${name}.${extension}`;
+    return settings.saveFolder ? path.join(settings.saveFolder, fileName) : fileName;
+}
+
+function openPreferences() {
+    if (preferencesWindow) {
+        preferencesWindow.show();
+        preferencesWindow.focus();
+        return;
+    }
+    preferencesWindow = new BrowserWindow({
+        width: 460,
+        height: 720,
+        title: 'Preferences',
+        resizable: false,
+        minimizable: false,
+        maximizable: false,
+        show: false,
+        webPreferences: WEB_PREFERENCES
+    });
+    preferencesWindow.setMenu(null);
+    preferencesWindow.loadFile('preferences.html');
+    preferencesWindow.once('ready-to-show', () => preferencesWindow.show());
+    preferencesWindow.on('closed', () => {
+        preferencesWindow = null;
     });
 }
+// =========== END SETTINGS ===========
+
+// =========== SCREEN CAPTURE ===========
+// Default global hotkeys. Override them in <userData>/capture-shortcuts.json,
+// e.g. { "region": "CommandOrControl+Shift+5" }. Use an empty string to disable one.
+const DEFAULT_CAPTURE_SHORTCUTS = {
+    fullscreen: 'CommandOrControl+Alt+Shift+1',
+    window: 'CommandOrControl+Alt+Shift+2',
+    region: 'CommandOrControl+Alt+Shift+3'
+};
+const CAPTURE_HIDE_DELAY = 250; // Give the window manager time to hide our window
+const CAPTURE_MODE_LABELS = { fullscreen: 'Full Screen', window: 'Window', region: 'Region' };
+const TIMED_CAPTURE_PRESETS = [3, 5, 10];
+const MAX_CAPTURE_DELAY = 60;
+const COUNTDOWN_SIZE = 120;
+
+let isCapturing = false;
+let timedCaptureMode = 'fullscreen';
+let countdownWindow = null;
+let captureOverlay = null;
+let resolveCaptureOverlay = null;
+
+function loadCaptureShortcuts() {
+    const configPath = path.join(app.getPath('userData'), 'capture-shortcuts.json');
+    try {
+        if (fs.existsSync(configPath)) {
+            const overrides = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            return { ...DEFAULT_CAPTURE_SHORTCUTS, ...overrides };
+        }
+    } catch (e) {
+        console.log('Error reading capture shortcuts: ' + e);
+    }
+    return { ...DEFAULT_CAPTURE_SHORTCUTS };
+}
+
+function registerCaptureShortcuts() {
+    const shortcuts = loadCaptureShortcuts();
+    Object.keys(CAPTURE_MODES).forEach(mode => {
+        const accelerator = shortcuts[mode];
+        if (!accelerator) return;
+        try {
+            if (!globalShortcut.register(accelerator, () => startCapture(mode))) {
+                console.log(`Capture shortcut ${accelerator} is already in use`);
+            }
+        } catch (e) {
+            console.log(`Invalid capture shortcut for ${mode}: ${accelerator}`);
+        }
+    });
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getCursorDisplay() {
+    return screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+}
+
+// Grab a full-resolution image of one display
+async function grabDisplay(display) {
+    const sources = await desktopCapturer.getSources({
+        types: ['screen'],
+        thumbnailSize: {
+            width: Math.round(display.size.width * display.scaleFactor),
+            height: Math.round(display.size.height * display.scaleFactor)
+        }
+    });
+    // display_id is empty on some Linux setups, so fall back to display order
+    const displayIndex = screen.getAllDisplays().findIndex(d => d.id === display.id);
+    const source = sources.find(s => s.display_id === String(display.id)) || sources[displayIndex] || sources[0];
+    return source ? source.thumbnail : null;
+}
+
+// Show a capture helper page over the given display and wait for its answer
+function openCaptureOverlay(page, display, payload, options = {}) {
+    return new Promise((resolve) => {
+        resolveCaptureOverlay = resolve;
+        captureOverlay = new BrowserWindow({
+            ...display.bounds,
+            frame: false,
+            resizable: false,
+            movable: false,
+            minimizable: false,
+            maximizable: false,
+            skipTaskbar: true,
+            hasShadow: false,
+            enableLargerThanScreen: true,
+            alwaysOnTop: true,
+            show: false,
+            webPreferences: WEB_PREFERENCES,
+            ...options
+        });
+        captureOverlay.setAlwaysOnTop(true, 'screen-saver');
+        captureOverlay.loadFile(page);
+        captureOverlay.webContents.once('did-finish-load', () => {
+            captureOverlay.webContents.send('capture-overlay-init', payload);
+            captureOverlay.show();
+            captureOverlay.focus();
+        });
+        captureOverlay.on('closed', () => {
+            captureOverlay = null;
+            finishCaptureOverlay(null);
+        });
+    });
+}
+
+function finishCaptureOverlay(result) {
+    const resolve = resolveCaptureOverlay;
+    resolveCaptureOverlay = null;
+    if (captureOverlay && !captureOverlay.isDestroyed()) {
+        captureOverlay.close();
+    }
+    if (resolve) resolve(result);
+}
+
+async function captureFullScreen() {
+    return grabDisplay(getCursorDisplay());
+}
+
+async function captureWindow() {
+    const display = getCursorDisplay();
+    const sources = await desktopCapturer.getSources({
+        types: ['window'],
+        thumbnailSize: {
+            width: Math.round(display.size.width * display.scaleFactor),
+            height: Math.round(display.size.height * display.scaleFactor)
+        }
+    });
+    const ownIds = BrowserWindow.getAllWindows().map(win => win.getMediaSourceId());
+    const windows = sources.filter(s => !ownIds.includes(s.id) && !s.thumbnail.isEmpty());
+    if (windows.length === 0) {
+        console.log('No windows available to capture');
+        return null;
+    }
+
+    const selectedId = await openCaptureOverlay('capture-picker.html', display, {
+        windows: windows.map(s => ({
+            id: s.id,
+            name: s.name,
+            preview: s.thumbnail.resize({ width: 320 }).toDataURL()
+        }))
+    });
+    const selected = windows.find(s => s.id === selectedId);
+    return selected ? selected.thumbnail : null;
+}
+
+async function captureRegion() {
+    const display = getCursorDisplay();
+    const image = await grabDisplay(display);
+    if (!image || image.isEmpty()) return null;
+
+    // The overlay shows a frozen copy of the screen so the user selects what was captured
+    const rect = await openCaptureOverlay('capture-overlay.html', display, { dataUrl: image.toDataURL() });
+    if (!rect || rect.width < 1 || rect.height < 1) return null;
+
+    // Overlay coordinates are in DIPs, the captured image is in physical pixels
+    const ratio = image.getSize().width / display.bounds.width;
+    return image.crop({
+        x: Math.round(rect.x * ratio),
+        y: Math.round(rect.y * ratio),
+        width: Math.round(rect.width * ratio),
+        height: Math.round(rect.height * ratio)
+    });
+}
+
+const CAPTURE_MODES = {
+    fullscreen: captureFullScreen,
+    window: captureWindow,
+    region: captureRegion
+};
+
+// Show a small countdown in the corner of the screen. Resolves false if the user cancels it.
+function runCountdown(seconds) {
+    return new Promise((resolve) => {
+        const { x, y, width, height } = getCursorDisplay().workArea;
+        let remaining = seconds;
+        let timer = null;
+        let finished = false;
+
+        const finish = (completed) => {
+            if (finished) return;
+            finished = true;
+            clearInterval(timer);
+            if (countdownWindow && !countdownWindow.isDestroyed()) {
+                countdownWindow.close();
+            }
+            resolve(completed);
+        };
+
+        countdownWindow = new BrowserWindow({
+            width: COUNTDOWN_SIZE,
+            height: COUNTDOWN_SIZE,
+            x: x + width - COUNTDOWN_SIZE - 20,
+            y: y + height - COUNTDOWN_SIZE - 20,
+            frame: false,
+            transparent: true,
+            resizable: false,
+            movable: false,
+            focusable: false, // Keep hover states and open menus in the captured app alive
+            skipTaskbar: true,
+            hasShadow: false,
+            alwaysOnTop: true,
+            show: false,
+            webPreferences: WEB_PREFERENCES
+        });
+        countdownWindow.setAlwaysOnTop(true, 'screen-saver');
+        countdownWindow.loadFile('countdown.html');
+        countdownWindow.webContents.once('did-finish-load', () => {
+            countdownWindow.webContents.send('countdown-tick', remaining);
+            countdownWindow.showInactive();
+            timer = setInterval(() => {
+                remaining--;
+                if (remaining <= 0) {
+                    finish(true);
+                } else {
+                    countdownWindow.webContents.send('countdown-tick', remaining);
+                }
+            }, 1000);
+        });
+        countdownWindow.on('closed', () => {
+            countdownWindow = null;
+            finish(false);
+        });
+    });
+}
+
+async function startCapture(mode, delay = 0) {
+    if (isCapturing || !CAPTURE_MODES[mode]) return;
+    isCapturing = true;
+
+    const visibleWindows = [...documentWindows].filter(win => win.isVisible());
+    let image = null;
+    try {
+        if (visibleWindows.length > 0) {
+            visibleWindows.forEach(win => win.hide());
+            await wait(CAPTURE_HIDE_DELAY);
+        }
+        if (delay > 0 && !(await runCountdown(delay))) {
+            console.log('Timed capture canceled');
+        } else {
+            if (delay > 0) {
+                // Make sure the countdown itself is off the screen
+                await wait(CAPTURE_HIDE_DELAY);
+            }
+            image = await CAPTURE_MODES[mode]();
+        }
+    } catch (e) {
+        console.log(`Error capturing ${mode}: ` + e);
+    } finally {
+        isCapturing = false;
+    }
+
+    visibleWindows.filter(win => !win.isDestroyed()).forEach(win => win.show());
+    if (image && !image.isEmpty()) {
+        // The active document decides whether the capture replaces it or gets a new window
+        const target = getActiveWindow();
+        target.show();
+        target.focus();
+        target.webContents.send('load-captured-image', image.toDataURL());
+    }
+}
+// =========== END SCREEN CAPTURE ===========
+
+// =========== EXPORT ===========
+// The save dialog decides the format: the renderer encodes the pixels (or SVG markup)
+// with the options the user picked and the matching writer below puts them on disk.
+const EXPORT_FORMATS = {
+    png: { name: 'PNG Image', extensions: ['png'] },
+    jpeg: { name: 'JPEG Image', extensions: ['jpg', 'jpeg'] },
+    webp: { name: 'WebP Image', extensions: ['webp'] },
+    svg: { name: 'SVG Vector Image', extensions: ['svg'] },
+    pdf: { name: 'PDF Document', extensions: ['pdf'] }
+};
+
+// PDF page sizes in points (1/72 inch)
+const PDF_PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    letter: { width: 612, height: 792 }
+};
+const PDF_PAGE_MARGIN = 36;
+const PX_TO_PT = 72 / 96;
+
+function getExportFormat(filePath) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    return Object.keys(EXPORT_FORMATS).find(format => EXPORT_FORMATS[format].extensions.includes(ext)) || null;
+}
+
+function dataUrlToBuffer(dataUrl) {
+    return Buffer.from(dataUrl.replace(/^data:[^,]*;base64,/, ''), 'base64');
+}
+
+// Write a single-page PDF that shows one JPEG image. Page size is either the
+// image itself (pageSize 'image') or a paper size with the image fitted inside.
+function buildPdf(jpeg, documentWidth, documentHeight, pageSize) {
+    const { width: pixelWidth, height: pixelHeight } = nativeImage.createFromBuffer(jpeg).getSize();
+    const imageWidth = documentWidth * PX_TO_PT;
+    const imageHeight = documentHeight * PX_TO_PT;
+
+    let pageWidth = imageWidth;
+    let pageHeight = imageHeight;
+    let margin = 0;
+    if (PDF_PAGE_SIZES[pageSize]) {
+        const paper = PDF_PAGE_SIZES[pageSize];
+        const landscape = imageWidth > imageHeight;
+        pageWidth = landscape ? paper.height : paper.width;
+        pageHeight = landscape ? paper.width : paper.height;
+        margin = PDF_PAGE_MARGIN;
+    }
+
+    // Fit inside the margins without upscaling, then center
+    const scale = Math.min(1, (pageWidth - margin * 2) / imageWidth, (pageHeight - margin * 2) / imageHeight);
+    const drawWidth = imageWidth * scale;
+    const drawHeight = imageHeight * scale;
+    const x = (pageWidth - drawWidth) / 2;
+    const y = (pageHeight - drawHeight) / 2;
+    const content = `q ${drawWidth.toFixed(2)} 0 0 ${drawHeight.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm /Im0 Do Q`;
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth.toFixed(2)} ${pageHeight.toFixed(2)}] ` +
+        '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>',
+        [
+            Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`),
+            jpeg,
+            Buffer.from('\nendstream')
+        ],
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    ];
+
+    const chunks = [Buffer.from('%PDF-1.4\n')];
+    let offset = chunks[0].length;
+    const offsets = [];
+    objects.forEach((body, index) => {
+        const parts = [Buffer.from(`${index + 1} 0 obj\n`), ...[].concat(body).map(part => Buffer.from(part)), Buffer.from('\nendobj\n')];
+        offsets.push(offset);
+        parts.forEach(part => {
+            chunks.push(part);
+            offset += part.length;
+        });
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(xref + '\n'));
+
+    return Buffer.concat(chunks);
+}
+
+const EXPORT_WRITERS = {
+    png: (payload) => dataUrlToBuffer(payload.data),
+    jpeg: (payload) => dataUrlToBuffer(payload.data),
+    webp: (payload) => dataUrlToBuffer(payload.data),
+    svg: (payload) => Buffer.from(payload.data, 'utf8'),
+    pdf: (payload) => buildPdf(dataUrlToBuffer(payload.data), payload.width, payload.height, payload.pageSize)
+};
+// =========== END EXPORT ===========
+
+// A page can only write to the path its user picked in the save dialog, so a
+// compromised renderer can't overwrite arbitrary files
+const exportTargets = new Map(); // webContents ID -> chosen path
 
 // IPC Handlers
 ipcMain.handle('log', (event, msg) => {
     console.log(msg);
 });
 
-ipcMain.handle('save-image', async (event, buffer) => {
+ipcMain.handle('choose-export-path', async (event, { defaultFormat }) => {
+    const formats = Object.keys(EXPORT_FORMATS);
+    // List the last used format first so it is the dialog's default filter
+    // and the preferred format until something has been exported
+    const preferred = defaultFormat || settings.exportFormat;
+    const ordered = [preferred, ...formats.filter(f => f !== preferred)].filter(f => EXPORT_FORMATS[f]);
     const { filePath } = await dialog.showSaveDialog({
         buttonLabel: 'Save Image',
-        defaultPath: `skitch-${Date.now()}.png`,
-        filters: [{ name: 'Images', extensions: ['png', 'jpg'] }]
+        defaultPath: getDefaultSavePath(EXPORT_FORMATS[ordered[0]].extensions[0]),
+        filters: ordered.map(f => EXPORT_FORMATS[f])
     });
 
-    if (filePath) {
-        fs.writeFileSync(filePath, buffer);
-        return { success: true, filePath };
+    if (!filePath) {
+        return { canceled: true };
+    }
+    const format = getExportFormat(filePath);
+    // Unknown or missing extension: fall back to PNG
+    const target = format ? { canceled: false, filePath, format } :
+        { canceled: false, filePath: filePath + '.png', format: 'png' };
+    // The dialog only asked about replacing the name that was typed, not the .png one
+    if (!format && fs.existsSync(target.filePath)) {
+        const result = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+            type: 'warning',
+            buttons: ['Replace', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1,
+            title: 'Confirm',
+            message: `${path.basename(target.filePath)} already exists.`,
+            detail: 'Do you want to replace it?'
+        });
+        if (result.response !== 0) {
+            return { canceled: true };
+        }
+    }
+    exportTargets.set(event.sender.id, target.filePath);
+    return target;
+});
+
+ipcMain.handle('save-image', async (event, payload) => {
+    if (exportTargets.get(event.sender.id) !== payload.filePath) {
+        return { success: false, error: 'Choose where to save the image first.' };
+    }
+    exportTargets.delete(event.sender.id);
+    const writer = EXPORT_WRITERS[payload.format];
+    if (!writer) {
+        return { success: false, error: `Unsupported export format: ${payload.format}` };
+    }
+    try {
+        fs.writeFileSync(payload.filePath, writer(payload));
+        return { success: true, filePath: payload.filePath };
+    } catch (e) {
+        console.log('Error exporting image: ' + e);
+        return { success: false, error: e.message };
+    }
+});
+
+// =========== OPENING FILES ===========
+function isOpenableFile(filePath) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    if (ext !== PROJECT_EXTENSION && !IMAGE_EXTENSIONS.includes(ext)) return false;
+    try {
+        return fs.statSync(filePath).isFile();
+    } catch (e) {
+        return false;
+    }
+}
+
+// The document payload the renderer's loadDocument() takes: a project's JSON or an image's base64 data
+function readDocumentFile(filePath) {
+    if (path.extname(filePath).toLowerCase() === `.${PROJECT_EXTENSION}`) {
+        return { project: fs.readFileSync(filePath, 'utf8'), filePath };
+    }
+    return { data: fs.readFileSync(filePath).toString('base64'), filePath };
+}
+
+// File arguments from a command line, e.g. `simple-skitch shot.png` or a second
+// instance started by "Open with". Flags and the app path itself are skipped.
+function getFilesFromArgs(argv, workingDirectory = process.cwd()) {
+    return argv.slice(app.isPackaged ? 1 : 2)
+        .filter(arg => !arg.startsWith('-'))
+        .map(arg => path.resolve(workingDirectory, arg))
+        .filter(isOpenableFile);
+}
+
+// Open files in the active window; it reuses itself if empty, otherwise opens new windows
+function openFiles(filePaths) {
+    if (!app.isReady()) {
+        pendingFiles.push(...filePaths);
+        return;
+    }
+    const win = getActiveWindow();
+    filePaths.forEach(filePath => {
+        try {
+            win.webContents.send('open-document', readDocumentFile(filePath));
+        } catch (e) {
+            console.error('Failed to open ' + filePath, e);
+        }
+    });
+    win.show();
+}
+
+// Only one instance runs; launching the app again (e.g. "Open with") hands its files to it
+const isPrimaryInstance = app.requestSingleInstanceLock();
+if (!isPrimaryInstance) {
+    app.quit();
+}
+
+app.on('second-instance', (event, argv, workingDirectory) => {
+    const files = getFilesFromArgs(argv, workingDirectory);
+    if (files.length > 0) {
+        openFiles(files);
+    } else {
+        getActiveWindow().show();
     }
-    return { canceled: true };
 });
 
-ipcMain.handle('open-image', async () => {
+// macOS delivers files opened from Finder or dropped on the Dock icon this way
+app.on('open-file', (event, filePath) => {
+    event.preventDefault();
+    if (isOpenableFile(filePath)) {
+        openFiles([filePath]);
+    }
+});
+
+// options.imagesOnly hides projects, for inserting an image into the open document
+ipcMain.handle('open-image', async (event, options = {}) => {
     const { canceled, filePaths } = await dialog.showOpenDialog({
+        title: options.imagesOnly ? 'Insert Image' : undefined,
         properties: ['openFile'],
-        filters: [{ name: 'Images', extensions: ['jpg', 'png', 'gif'] }]
+        filters: options.imagesOnly ? [{ name: 'Images', extensions: IMAGE_EXTENSIONS }] : [
+            { name: 'Images and Projects', extensions: [...IMAGE_EXTENSIONS, PROJECT_EXTENSION] },
+            { name: 'Images', extensions: IMAGE_EXTENSIONS },
+            { name: 'Simple Skitch Projects', extensions: [PROJECT_EXTENSION] }
+        ]
     });
     if (canceled) {
         return { canceled: true };
-    } else {
-        const data = fs.readFileSync(filePaths[0]);
-        return { canceled: false, data: data.toString('base64'), filePath: filePaths[0] };
     }
+    return { canceled: false, ...readDocumentFile(filePaths[0]) };
+});
+// =========== END OPENING FILES ===========
+
+ipcMain.handle('save-project', async (event, { json, filePath: currentPath }) => {
+    const { filePath } = await dialog.showSaveDialog({
+        buttonLabel: 'Save Project',
+        defaultPath: currentPath || getDefaultSavePath(PROJECT_EXTENSION),
+        filters: [{ name: 'Simple Skitch Projects', extensions: [PROJECT_EXTENSION] }]
+    });
+
+    if (filePath) {
+        fs.writeFileSync(filePath, json, 'utf8');
+        return { success: true, filePath };
+    }
+    return { canceled: true };
 });
 
 ipcMain.handle('show-confirm-dialog', async (event, options) => {
-    const result = await dialog.showMessageBox(mainWindow, {
+    // The window starts hidden in the tray; a question needs it on screen
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (!win.isVisible()) {
+        win.show();
+    }
+    const result = await dialog.showMessageBox(win, {
         type: 'question',
         buttons: ['Yes', 'No'],
         defaultId: 0,
@@ -111,23 +826,117 @@ ipcMain.handle('show-confirm-dialog', async (event, options) => {
     return result.response === 0;
 });
 
+ipcMain.handle('open-document-window', (event, options = {}) => {
+    createWindow({
+        show: true,
+        docId: options.docId,
+        restore: options.docId ? 'resume' : undefined,
+        load: options.load
+    });
+});
+
+ipcMain.handle('close-document-window', (event) => {
+    BrowserWindow.fromWebContents(event.sender).destroy();
+});
+
+ipcMain.handle('show-error-dialog', async (event, options) => {
+    await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+        type: 'error',
+        buttons: ['OK'],
+        title: 'Error',
+        message: options.message,
+        detail: options.detail
+    });
+});
+
 ipcMain.handle('copy-to-clipboard', async (event, dataUrl) => {
+    if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) {
+        return { success: false };
+    }
     const image = nativeImage.createFromDataURL(dataUrl);
     clipboard.writeImage(image);
     return { success: true };
 });
 
+// The clipboard image as a PNG data URL, or null if it doesn't hold one
+ipcMain.handle('read-clipboard-image', () => {
+    const image = clipboard.readImage();
+    return image.isEmpty() ? null : image.toDataURL();
+});
+
+ipcMain.on('get-settings', (event) => {
+    event.returnValue = settings;
+});
+
+ipcMain.handle('update-settings', (event, values) => updateSettings(values));
+
+ipcMain.handle('reset-settings', () => updateSettings(DEFAULT_SETTINGS));
+
+ipcMain.handle('choose-save-folder', async (event) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Save Folder',
+        defaultPath: settings.saveFolder || undefined,
+        properties: ['openDirectory', 'createDirectory']
+    });
+    return canceled ? null : filePaths[0];
+});
+
+ipcMain.handle('open-preferences', () => openPreferences());
+
+ipcMain.handle('capture-overlay-done', (event, result) => {
+    finishCaptureOverlay(result);
+});
+
+ipcMain.handle('start-timed-capture', (event, options) => {
+    const seconds = Math.round(Number(options.seconds));
+    if (!CAPTURE_MODES[options.mode] || !(seconds >= 1)) {
+        return { success: false };
+    }
+    // Not awaited: the renderer's window is hidden until the capture finishes
+    startCapture(options.mode, Math.min(seconds, MAX_CAPTURE_DELAY));
+    return { success: true };
+});
+
+ipcMain.handle('cancel-countdown', () => {
+    if (countdownWindow && !countdownWindow.isDestroyed()) {
+        countdownWindow.close();
+    }
+});
+
 app.whenReady().then(() => {
-    createWindow();
+    if (!isPrimaryInstance) return;
+
+    loadSettings();
+    createWindow({ restore: 'ask' });
     createTray();
+    registerCaptureShortcuts();
+
+    // Files from the command line or from an "Open with" that launched the app
+    const files = [...pendingFiles, ...getFilesFromArgs(process.argv)];
+    pendingFiles = [];
+    if (files.length > 0) {
+        const win = getActiveWindow();
+        win.webContents.once('did-finish-load', () => openFiles(files));
+    }
 
     // Show window on activate
     app.on('activate', () => {
-        if (BrowserWindow.getAllWindows().length === 0) createWindow();
-        else mainWindow.show();
+        if (documentWindows.size === 0) createWindow({ show: true });
+        else getActiveWindow().show();
     });
 });
 
+// Pages never navigate or open windows of their own; links dropped on a window
+// or a rogue script can't load remote content into it
+app.on('web-contents-created', (event, contents) => {
+    contents.on('will-navigate', (e) => e.preventDefault());
+    contents.setWindowOpenHandler(() => ({ action: 'deny' }));
+});
+
 app.on('before-quit', () => {
     app.isQuitting = true;
 });
+
+app.on('will-quit', () => {
+    globalShortcut.unregisterAll();
+});
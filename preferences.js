@@ -0,0 +1,162 @@
+// Every field saves as soon as it changes; the main process checks the value and
+// sends the new settings to all windows, this one included.
+const fields = document.querySelectorAll('[data-setting]');
+const saveFolder = document.getElementById('save-folder');
+const shortcutList = document.getElementById('shortcut-list');
+let shortcutOverrides = {};
+let recordingButton = null; // The + button waiting for a key press
+
+function showSettings(settings) {
+    fields.forEach(field => {
+        const value = settings[field.dataset.setting];
+        if (field.type === 'checkbox') {
+            field.checked = value;
+        } else {
+            field.value = value;
+        }
+    });
+    saveFolder.value = settings.saveFolder;
+    shortcutOverrides = settings.shortcuts;
+    showShortcuts();
+}
+
+// =========== SHORTCUTS ===========
+function showShortcuts() {
+    recordingButton = null;
+    const bindings = getShortcutBindings(shortcutOverrides);
+    const conflicts = findShortcutConflicts(bindings);
+    shortcutList.innerHTML = '';
+
+    SHORTCUT_GROUPS.forEach(group => {
+        const title = document.createElement('h5');
+        title.textContent = group;
+        shortcutList.appendChild(title);
+
+        SHORTCUT_COMMANDS.filter(command => command.group === group).forEach(command => {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+            const label = document.createElement('span');
+            label.className = 'shortcut-label';
+            label.textContent = command.label;
+            row.appendChild(label);
+
+            bindings[command.id].forEach(binding => {
+                const key = document.createElement('button');
+                key.className = 'shortcut-key';
+                key.textContent = formatBinding(binding);
+                key.title = 'Remove';
+                if (conflicts[binding]) {
+                    const others = conflicts[binding].filter(id => id !== command.id).map(id => getShortcutCommand(id).label);
+                    key.classList.add('conflict');
+                    key.title = 'Also used by ' + others.join(', ');
+                }
+                key.addEventListener('click', () => {
+                    saveShortcuts({ ...bindings, [command.id]: bindings[command.id].filter(b => b !== binding) });
+                });
+                row.appendChild(key);
+            });
+
+            const add = document.createElement('button');
+            add.className = 'shortcut-add';
+            add.textContent = '+';
+            add.title = 'Add a shortcut';
+            add.addEventListener('click', () => startRecording(add, command.id));
+            row.appendChild(add);
+            shortcutList.appendChild(row);
+        });
+    });
+}
+
+function startRecording(button, id) {
+    if (recordingButton) recordingButton.textContent = '+';
+    recordingButton = button;
+    recordingButton.dataset.command = id;
+    button.textContent = 'Press keys...';
+}
+
+function stopRecording() {
+    recordingButton.textContent = '+';
+    recordingButton = null;
+}
+
+// Only bindings that differ from the defaults are stored
+function saveShortcuts(bindings) {
+    const overrides = {};
+    SHORTCUT_COMMANDS.forEach(command => {
+        if (JSON.stringify(bindings[command.id]) !== JSON.stringify(command.keys)) {
+            overrides[command.id] = bindings[command.id];
+        }
+    });
+    return skitch.updateSettings({ shortcuts: overrides });
+}
+
+// A binding another command already uses moves to this one if the user agrees
+async function addShortcut(id, binding) {
+    const bindings = getShortcutBindings(shortcutOverrides);
+    if (bindings[id].includes(binding)) return;
+
+    const others = Object.keys(bindings).filter(other => other !== id && bindings[other].includes(binding));
+    if (others.length > 0) {
+        const confirmed = await skitch.showConfirmDialog({
+            message: `${formatBinding(binding)} is already used by ${others.map(other => getShortcutCommand(other).label).join(', ')}.`,
+            detail: `Use it for ${getShortcutCommand(id).label} instead?`
+        });
+        if (!confirmed) return;
+        others.forEach(other => {
+            bindings[other] = bindings[other].filter(b => b !== binding);
+        });
+    }
+    await saveShortcuts({ ...bindings, [id]: [...bindings[id], binding] });
+}
+
+document.getElementById('reset-shortcuts').addEventListener('click', () => {
+    skitch.updateSettings({ shortcuts: {} });
+});
+// =========== END SHORTCUTS ===========
+
+function readField(field) {
+    if (field.type === 'checkbox') return field.checked;
+    if (field.type === 'number' || field.type === 'range') return parseInt(field.value, 10);
+    return field.value;
+}
+
+fields.forEach(field => {
+    field.addEventListener('change', async () => {
+        const settings = await skitch.updateSettings({ [field.dataset.setting]: readField(field) });
+        // An invalid value wasn't saved: show the one in effect
+        showSettings(settings);
+    });
+});
+
+document.getElementById('save-folder-choose').addEventListener('click', async () => {
+    const folder = await skitch.chooseSaveFolder();
+    if (folder) {
+        skitch.updateSettings({ saveFolder: folder });
+    }
+});
+document.getElementById('save-folder-clear').addEventListener('click', () => {
+    skitch.updateSettings({ saveFolder: '' });
+});
+document.getElementById('reset-settings').addEventListener('click', () => skitch.resetSettings());
+
+window.addEventListener('keydown', (e) => {
+    if (recordingButton) {
+        // Escape cancels, it is reserved for canceling in the document windows too
+        e.preventDefault();
+        const id = recordingButton.dataset.command;
+        const binding = e.key === 'Escape' ? null : bindingFromEvent(e);
+        if (e.key === 'Escape' || binding) {
+            stopRecording();
+        }
+        if (binding) {
+            addShortcut(id, binding);
+        }
+        return;
+    }
+    if (e.key === 'Escape') {
+        window.close();
+    }
+});
+
+skitch.onSettingsChanged(showSettings);
+showSettings(skitch.getSettings());
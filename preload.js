@@ -0,0 +1,142 @@
+// The only bridge between the pages and the main process. Pages run with context
+// isolation, in a sandbox and without Node, so all they get is window.skitch:
+// one method per IPC channel, each checking its arguments before sending them.
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
+
+function check(condition, message) {
+    if (!condition) {
+        throw new TypeError(message);
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOptionalString(value) {
+    return value === undefined || value === null || typeof value === 'string';
+}
+
+function isImageDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:image/');
+}
+
+// A document to open: an image as a data URL or base64 data, or a project's JSON
+function checkDocumentPayload(payload) {
+    check(isObject(payload), 'Expected a document');
+    check(isOptionalString(payload.dataUrl) && isOptionalString(payload.data) &&
+        isOptionalString(payload.project) && isOptionalString(payload.filePath), 'Invalid document');
+    check(!!(payload.dataUrl || payload.data || payload.project), 'Empty document');
+    return {
+        dataUrl: payload.dataUrl || undefined,
+        data: payload.data || undefined,
+        project: payload.project || undefined,
+        filePath: payload.filePath || undefined
+    };
+}
+
+function checkDialogOptions(options) {
+    check(isObject(options) && typeof options.message === 'string' && isOptionalString(options.detail),
+        'Expected a message and an optional detail');
+    return { message: options.message, detail: options.detail || undefined };
+}
+
+// Events from the main process, passed on without the IPC event object
+function subscribe(channel) {
+    return (listener) => {
+        check(typeof listener === 'function', 'Expected a listener');
+        ipcRenderer.on(channel, (event, ...args) => listener(...args));
+    };
+}
+
+contextBridge.exposeInMainWorld('skitch', {
+    log: (message) => ipcRenderer.invoke('log', String(message)),
+
+    // Dialogs
+    showConfirmDialog: (options) => ipcRenderer.invoke('show-confirm-dialog', checkDialogOptions(options)),
+    showErrorDialog: (options) => ipcRenderer.invoke('show-error-dialog', checkDialogOptions(options)),
+
+    // Files
+    openImage: (options = {}) => {
+        check(isObject(options), 'Expected options');
+        return ipcRenderer.invoke('open-image', { imagesOnly: !!options.imagesOnly });
+    },
+    chooseExportPath: (options) => {
+        check(isObject(options) && isOptionalString(options.defaultFormat), 'Expected a default format');
+        return ipcRenderer.invoke('choose-export-path', { defaultFormat: options.defaultFormat });
+    },
+    saveImage: (payload) => {
+        check(isObject(payload) && typeof payload.filePath === 'string' && typeof payload.format === 'string' &&
+            typeof payload.data === 'string', 'Expected a file path, a format and the image data');
+        check(Number.isFinite(payload.width) && Number.isFinite(payload.height), 'Expected the image size');
+        check(isOptionalString(payload.pageSize), 'Invalid page size');
+        return ipcRenderer.invoke('save-image', {
+            filePath: payload.filePath,
+            format: payload.format,
+            data: payload.data,
+            width: payload.width,
+            height: payload.height,
+            pageSize: payload.pageSize || undefined
+        });
+    },
+    saveProject: (payload) => {
+        check(isObject(payload) && typeof payload.json === 'string' && isOptionalString(payload.filePath),
+            'Expected the project JSON');
+        return ipcRenderer.invoke('save-project', { json: payload.json, filePath: payload.filePath || undefined });
+    },
+    // The path of a dropped file (File objects no longer carry it)
+    getPathForFile: (file) => webUtils.getPathForFile(file),
+
+    // Clipboard
+    copyToClipboard: (dataUrl) => {
+        check(isImageDataUrl(dataUrl), 'Expected an image data URL');
+        return ipcRenderer.invoke('copy-to-clipboard', dataUrl);
+    },
+    readClipboardImage: () => ipcRenderer.invoke('read-clipboard-image'),
+
+    // Windows
+    openDocumentWindow: (options = {}) => {
+        check(isObject(options) && isOptionalString(options.docId), 'Expected window options');
+        return ipcRenderer.invoke('open-document-window', {
+            docId: options.docId || undefined,
+            load: options.load ? checkDocumentPayload(options.load) : undefined
+        });
+    },
+    closeDocumentWindow: () => ipcRenderer.invoke('close-document-window'),
+
+    // Settings
+    // Read synchronously, so a page can set itself up with the preferences as it loads
+    getSettings: () => ipcRenderer.sendSync('get-settings'),
+    updateSettings: (values) => {
+        check(isObject(values), 'Expected settings');
+        return ipcRenderer.invoke('update-settings', { ...values });
+    },
+    resetSettings: () => ipcRenderer.invoke('reset-settings'),
+    chooseSaveFolder: () => ipcRenderer.invoke('choose-save-folder'),
+    openPreferences: () => ipcRenderer.invoke('open-preferences'),
+
+    // Capture
+    startTimedCapture: (options) => {
+        check(isObject(options) && typeof options.mode === 'string' && Number.isInteger(options.seconds),
+            'Expected a capture mode and a delay');
+        return ipcRenderer.invoke('start-timed-capture', { mode: options.mode, seconds: options.seconds });
+    },
+    cancelCountdown: () => ipcRenderer.invoke('cancel-countdown'),
+    // A region ({ x, y, width, height }), a window ID or null when canceled
+    captureOverlayDone: (result) => {
+        const isRegion = isObject(result) && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(result[key]));
+        check(result === null || typeof result === 'string' || isRegion, 'Invalid capture result');
+        return ipcRenderer.invoke('capture-overlay-done', isRegion ?
+            { x: result.x, y: result.y, width: result.width, height: result.height } : result);
+    },
+
+    // Events from the main process
+    onLoadDocument: subscribe('load-document'),
+    onOpenDocument: subscribe('open-document'),
+    onLoadCapturedImage: subscribe('load-captured-image'),
+    onRequestClose: subscribe('request-close'),
+    onFocusCaptureDelay: subscribe('focus-capture-delay'),
+    onCaptureOverlayInit: subscribe('capture-overlay-init'),
+    onCountdownTick: subscribe('countdown-tick'),
+    onSettingsChanged: subscribe('settings-changed')
+});
@@ -1,19 +1,21 @@
-const { ipcRenderer, clipboard, nativeImage } = require('electron');
+// The page has no Node access: preload.js exposes the main process API as the
+// `skitch` global, and index.html loads Fabric's browser build as `fabric`
 
 // Global Error Handler
 window.onerror = function (message, source, lineno, colno, error) {
     console.error('Renderer Error:', message, source, lineno, colno, error);
-    ipcRenderer.invoke('log', `Renderer Error: ${message} at ${lineno}:${colno}`);
+    skitch.log(`Renderer Error: ${message} at ${lineno}:${colno}`);
 };
 
-const fabric = require('fabric');
-
 // Log helper
 function log(msg) {
     console.log(msg);
-    ipcRenderer.invoke('log', msg);
+    skitch.log(msg);
 }
 
+// Preferences from the settings file; the Preferences window updates them live (see applySettings)
+let settings = skitch.getSettings();
+
 log('Renderer script loaded');
 
 // Initialize Canvas
@@ -26,21 +28,873 @@ const canvas = new fabric.Canvas('c', {
 
 log('Canvas initialized');
 
+// =========== CUSTOM OBJECTS ===========
+// Arrow: a line with a head drawn at render time, so the head never distorts and
+// grows with the stroke width. The two endpoints are its only controls.
+const ARROW_HEAD_STYLES = ['none', 'open', 'filled', 'double', 'tapered'];
+
+function arrowEndpointControl(index) {
+    return new fabric.Control({
+        cursorStyle: 'crosshair',
+        actionName: 'moveEndpoint',
+        positionHandler: (dim, finalMatrix, arrow) => {
+            return arrow.getEndpoints()[index].transform(arrow.canvas.viewportTransform);
+        },
+        actionHandler: (eventData, transform, x, y) => {
+            const arrow = transform.target;
+            const endpoints = arrow.getEndpoints();
+            endpoints[index] = new fabric.Point(x, y);
+            arrow.setEndpoints(endpoints[0], endpoints[1]);
+            return true;
+        }
+    });
+}
+
+class Arrow extends fabric.Line {
+    static type = 'Arrow';
+    static cacheProperties = [...fabric.Line.cacheProperties, 'headStyle'];
+    static ownDefaults = {
+        headStyle: 'filled',
+        strokeLineCap: 'round',
+        hasBorders: false,
+        cornerStyle: 'circle',
+        objectCaching: false // The head reaches outside the line's bounding box
+    };
+
+    static getDefaults() {
+        return { ...super.getDefaults(), ...Arrow.ownDefaults };
+    }
+
+    static createControls() {
+        return { controls: { start: arrowEndpointControl(0), end: arrowEndpointControl(1) } };
+    }
+
+    constructor(points, options = {}) {
+        super(points, { ...Arrow.ownDefaults, ...options });
+    }
+
+    // Endpoints in canvas coordinates
+    getEndpoints() {
+        const p = this.calcLinePoints();
+        const matrix = this.calcTransformMatrix();
+        return [
+            new fabric.Point(p.x1, p.y1).transform(matrix),
+            new fabric.Point(p.x2, p.y2).transform(matrix)
+        ];
+    }
+
+    // Move the endpoints, folding any rotation or scaling into the points themselves
+    setEndpoints(start, end) {
+        this.set({ angle: 0, scaleX: 1, scaleY: 1, skewX: 0, skewY: 0, flipX: false, flipY: false });
+        this.set({ x1: start.x, y1: start.y, x2: end.x, y2: end.y });
+        this.setCoords();
+    }
+
+    getHeadSize() {
+        const length = this.strokeWidth * 3 + 8;
+        return { length: length, width: length * 0.8 };
+    }
+
+    _render(ctx) {
+        const p = this.calcLinePoints();
+        const length = Math.hypot(p.x2 - p.x1, p.y2 - p.y1);
+        if (length === 0) return;
+
+        // Draw along the x axis: the arrow runs from (0, 0) to (length, 0)
+        ctx.save();
+        ctx.translate(p.x1, p.y1);
+        ctx.rotate(Math.atan2(p.y2 - p.y1, p.x2 - p.x1));
+        ctx.strokeStyle = this.stroke;
+        ctx.fillStyle = this.stroke;
+        ctx.lineWidth = this.strokeWidth;
+        ctx.lineCap = this.strokeLineCap;
+        ctx.lineJoin = 'round';
+
+        const head = this.getHeadSize();
+        const maxHead = this.headStyle === 'double' ? length * 0.45 : length * 0.9;
+        const headLength = Math.min(head.length, maxHead);
+        const headWidth = head.width * (headLength / head.length);
+
+        if (this.headStyle === 'tapered') {
+            this._renderTapered(ctx, length, headLength, headWidth);
+        } else {
+            const startInset = this.headStyle === 'double' ? headLength : 0;
+            const endInset = this.headStyle === 'filled' || this.headStyle === 'double' ? headLength : 0;
+
+            ctx.setLineDash(this.strokeDashArray || []);
+            ctx.beginPath();
+            ctx.moveTo(startInset, 0);
+            ctx.lineTo(length - endInset, 0);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            if (this.headStyle === 'open') {
+                ctx.beginPath();
+                ctx.moveTo(length - headLength, -headWidth / 2);
+                ctx.lineTo(length, 0);
+                ctx.lineTo(length - headLength, headWidth / 2);
+                ctx.stroke();
+            } else if (this.headStyle === 'filled' || this.headStyle === 'double') {
+                this._renderFilledHead(ctx, length, headLength, headWidth, 1);
+                if (this.headStyle === 'double') {
+                    this._renderFilledHead(ctx, 0, headLength, headWidth, -1);
+                }
+            }
+        }
+        ctx.restore();
+    }
+
+    _renderFilledHead(ctx, tipX, headLength, headWidth, direction) {
+        ctx.beginPath();
+        ctx.moveTo(tipX, 0);
+        ctx.lineTo(tipX - direction * headLength, -headWidth / 2);
+        ctx.lineTo(tipX - direction * headLength, headWidth / 2);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // Skitch-style: a single shape that widens from a thin tail into a swept-back head
+    _renderTapered(ctx, length, headLength, headWidth) {
+        const tail = this.strokeWidth * 0.3;
+        const neck = this.strokeWidth * 0.8;
+        const barbWidth = headWidth * 0.75;
+        ctx.beginPath();
+        ctx.moveTo(0, -tail);
+        ctx.lineTo(length - headLength * 0.75, -neck);
+        ctx.lineTo(length - headLength, -barbWidth);
+        ctx.lineTo(length, 0);
+        ctx.lineTo(length - headLength, barbWidth);
+        ctx.lineTo(length - headLength * 0.75, neck);
+        ctx.lineTo(0, tail);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    toObject(propertiesToInclude = []) {
+        return super.toObject([...propertiesToInclude, 'headStyle']);
+    }
+}
+fabric.classRegistry.setClass(Arrow);
+
+// Scaling would stretch the head, so bake it into the endpoints. Arrows in a scaled
+// multi-selection only get the selection's scaling once it is discarded, so the
+// selection is taken apart and put back together around them.
+canvas.on('object:modified', (e) => {
+    const target = e.target;
+    const isScaled = (obj) => obj.scaleX !== 1 || obj.scaleY !== 1;
+    if (target instanceof Arrow && isScaled(target)) {
+        const [start, end] = target.getEndpoints();
+        target.setEndpoints(start, end);
+    } else if (target instanceof fabric.ActiveSelection && isScaled(target) &&
+        target.getObjects().some(obj => obj instanceof Arrow)) {
+        const objects = target.getObjects();
+        canvas.discardActiveObject();
+        objects.forEach(obj => {
+            if (obj instanceof Arrow && isScaled(obj)) {
+                const [start, end] = obj.getEndpoints();
+                obj.setEndpoints(start, end);
+            }
+        });
+        canvas.setActiveObject(new fabric.ActiveSelection(objects, { canvas: canvas }));
+    }
+});
+
+// StepMarker: a filled circle with a number. The number isn't chosen by the user,
+// markers are numbered 1, 2, 3... in stacking order (see renumberStepMarkers).
+const STEP_MARKER_CONTROLS = ['tl', 'tr', 'bl', 'br', 'mtr'];
+
+class StepMarker extends fabric.Circle {
+    static type = 'StepMarker';
+    static cacheProperties = [...fabric.Circle.cacheProperties, 'stepNumber', 'textColor'];
+    static ownDefaults = {
+        stepNumber: 1,
+        textColor: '#ffffff',
+        stroke: '#ffffff',
+        strokeWidth: 2,
+        lockScalingFlip: true
+    };
+
+    static getDefaults() {
+        return { ...super.getDefaults(), ...StepMarker.ownDefaults };
+    }
+
+    // Corners only, so the circle can't be stretched into an ellipse
+    static createControls() {
+        const controls = fabric.controlsUtils.createObjectDefaultControls();
+        Object.keys(controls).forEach(key => {
+            if (!STEP_MARKER_CONTROLS.includes(key)) delete controls[key];
+        });
+        return { controls: controls };
+    }
+
+    constructor(options = {}) {
+        super({ ...StepMarker.ownDefaults, ...options });
+    }
+
+    // Two-digit numbers get a smaller font to stay inside the circle
+    getFontSize() {
+        return this.radius * (String(this.stepNumber).length > 1 ? 0.9 : 1.2);
+    }
+
+    _render(ctx) {
+        super._render(ctx);
+        ctx.save();
+        ctx.fillStyle = this.textColor;
+        ctx.font = `bold ${this.getFontSize()}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(this.stepNumber), 0, this.radius * 0.05);
+        ctx.restore();
+    }
+
+    _toSVG() {
+        return [
+            ...super._toSVG(),
+            `<text x="0" y="0" text-anchor="middle" dominant-baseline="central" font-family="Arial" `,
+            `font-weight="bold" font-size="${this.getFontSize()}" fill="${this.textColor}">${this.stepNumber}</text>\n`
+        ];
+    }
+
+    toObject(propertiesToInclude = []) {
+        return super.toObject([...propertiesToInclude, 'stepNumber', 'textColor']);
+    }
+}
+fabric.classRegistry.setClass(StepMarker);
+
+// Callout: editable text on a padded rounded bubble with a tail. The tail tip is
+// kept in canvas coordinates, so it stays on its spot when the bubble is moved.
+const CALLOUT_RADIUS = 8;
+const CALLOUT_BORDER_WIDTH = 2;
+
+function calloutTailControl() {
+    return new fabric.Control({
+        cursorStyle: 'crosshair',
+        actionName: 'moveTail',
+        positionHandler: (dim, finalMatrix, callout) => {
+            return new fabric.Point(callout.tailX, callout.tailY).transform(callout.canvas.viewportTransform);
+        },
+        actionHandler: (eventData, transform, x, y) => {
+            transform.target.set({ tailX: x, tailY: y });
+            return true;
+        }
+    });
+}
+
+class Callout extends fabric.IText {
+    static type = 'Callout';
+    static cacheProperties = [...fabric.IText.cacheProperties, 'tailX', 'tailY', 'bubbleColor', 'bubbleBorder'];
+    static ownDefaults = {
+        tailX: 0,
+        tailY: 0,
+        bubbleColor: '#ffffff',
+        bubbleBorder: true,
+        padding: 10,
+        objectCaching: false // The tail reaches outside the text's bounding box
+    };
+
+    static getDefaults() {
+        return { ...super.getDefaults(), ...Callout.ownDefaults };
+    }
+
+    static createControls() {
+        return { controls: { ...fabric.controlsUtils.createObjectDefaultControls(), tail: calloutTailControl() } };
+    }
+
+    constructor(text, options = {}) {
+        super(text, { ...Callout.ownDefaults, ...options });
+    }
+
+    // The bubble (the text box plus padding) and the tail as one SVG path in object
+    // coordinates. Both parts wind clockwise so the tail joins the bubble when filled.
+    getBubblePath() {
+        const w = this.width + this.padding * 2;
+        const h = this.height + this.padding * 2;
+        const x = -w / 2;
+        const y = -h / 2;
+        const r = Math.min(CALLOUT_RADIUS, w / 2, h / 2);
+        const bubble = `M ${x + r} ${y} H ${x + w - r} A ${r} ${r} 0 0 1 ${x + w} ${y + r} ` +
+            `V ${y + h - r} A ${r} ${r} 0 0 1 ${x + w - r} ${y + h} H ${x + r} ` +
+            `A ${r} ${r} 0 0 1 ${x} ${y + h - r} V ${y + r} A ${r} ${r} 0 0 1 ${x + r} ${y} Z`;
+
+        const tip = new fabric.Point(this.tailX, this.tailY)
+            .transform(fabric.util.invertTransform(this.calcTransformMatrix()));
+        const length = Math.hypot(tip.x, tip.y);
+        if (length === 0) return bubble;
+
+        // The tail grows out of the center, its base perpendicular to where it points
+        const halfBase = Math.min(w, h, 48) / 4;
+        const nx = -tip.y / length * halfBase;
+        const ny = tip.x / length * halfBase;
+        return bubble + ` M ${-nx} ${-ny} L ${tip.x} ${tip.y} L ${nx} ${ny} Z`;
+    }
+
+    // Stroke at double width, then fill over it: only the outer half of the border
+    // stays visible, so there's no seam where the tail meets the bubble
+    _renderBackground(ctx) {
+        const path = new Path2D(this.getBubblePath());
+        ctx.save();
+        if (this.bubbleBorder) {
+            ctx.strokeStyle = this.fill;
+            ctx.lineWidth = CALLOUT_BORDER_WIDTH * 2;
+            ctx.lineJoin = 'round';
+            ctx.stroke(path);
+        }
+        ctx.fillStyle = this.bubbleColor;
+        ctx.fill(path);
+        ctx.restore();
+    }
+
+    _toSVG() {
+        const d = this.getBubblePath();
+        const bubble = [];
+        if (this.bubbleBorder) {
+            bubble.push(`<path d="${d}" fill="none" stroke="${this.fill}" ` +
+                `stroke-width="${CALLOUT_BORDER_WIDTH * 2}" stroke-linejoin="round" />\n`);
+        }
+        bubble.push(`<path d="${d}" fill="${this.bubbleColor}" />\n`);
+        return [...bubble, ...super._toSVG()];
+    }
+
+    toObject(propertiesToInclude = []) {
+        return super.toObject([...propertiesToInclude, 'tailX', 'tailY', 'bubbleColor', 'bubbleBorder']);
+    }
+}
+fabric.classRegistry.setClass(Callout);
+
+// Redaction: a box that obscures the background under it by pixelating, blurring
+// or covering it. It reads the background live, so it can still be moved and
+// resized; exports burn it into the background pixels (see burnInRedactions).
+class Redaction extends fabric.Rect {
+    static type = 'Redaction';
+    static cacheProperties = [...fabric.Rect.cacheProperties, 'redactMode', 'strength'];
+    static ownDefaults = {
+        redactMode: 'pixelate',
+        strength: 12, // Block size for pixelate, radius for blur (in canvas pixels)
+        fill: '#000000', // Used by solid mode
+        strokeWidth: 0,
+        lockRotation: true,
+        objectCaching: false // Redrawn whenever the background under it changes
+    };
+
+    static getDefaults() {
+        return { ...super.getDefaults(), ...Redaction.ownDefaults };
+    }
+
+    static createControls() {
+        const controls = fabric.controlsUtils.createObjectDefaultControls();
+        delete controls.mtr;
+        return { controls: controls };
+    }
+
+    // Always opaque: a translucent redaction would leave the original pixels readable
+    constructor(options = {}) {
+        super({ ...Redaction.ownDefaults, ...options, opacity: 1 });
+    }
+
+    // The covered area in canvas coordinates
+    getRegion() {
+        const matrix = this.calcTransformMatrix();
+        const a = new fabric.Point(-this.width / 2, -this.height / 2).transform(matrix);
+        const b = new fabric.Point(this.width / 2, this.height / 2).transform(matrix);
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(b.x - a.x),
+            height: Math.abs(b.y - a.y)
+        };
+    }
+
+    // The covered area in the background image's own pixels
+    getSourceRect(bg) {
+        const region = this.getRegion();
+        return {
+            x: (region.x - bg.left) / bg.scaleX,
+            y: (region.y - bg.top) / bg.scaleY,
+            width: Math.max(1, Math.round(region.width / bg.scaleX)),
+            height: Math.max(1, Math.round(region.height / bg.scaleY))
+        };
+    }
+
+    // The obscured background under the box, at the background's resolution.
+    // Cached until the box, its settings or the background change.
+    getRedactedRegion(bg) {
+        const src = this.getSourceRect(bg);
+        const key = [src.x, src.y, src.width, src.height, this.redactMode, this.strength].join();
+        if (this._redacted && this._redacted.key === key && this._redacted.bg === bg) {
+            return this._redacted.canvas;
+        }
+
+        const out = document.createElement('canvas');
+        out.width = src.width;
+        out.height = src.height;
+        const ctx = out.getContext('2d');
+        const element = bg.getElement();
+
+        if (this.redactMode === 'pixelate') {
+            // Shrink so each block becomes one averaged pixel, then scale back up unsmoothed
+            const block = Math.max(1, this.strength / bg.scaleX);
+            const small = document.createElement('canvas');
+            small.width = Math.ceil(src.width / block);
+            small.height = Math.ceil(src.height / block);
+            const smallCtx = small.getContext('2d');
+            smallCtx.fillStyle = canvas.backgroundColor || '#ffffff';
+            smallCtx.fillRect(0, 0, small.width, small.height);
+            smallCtx.imageSmoothingQuality = 'high';
+            smallCtx.drawImage(element, src.x, src.y, small.width * block, small.height * block,
+                0, 0, small.width, small.height);
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(small, 0, 0, small.width * block, small.height * block);
+        } else {
+            // Blur a margin around the box too, so the edges don't fade to transparent
+            // and let the original show through
+            const radius = this.strength / bg.scaleX;
+            const margin = Math.ceil(radius * 2);
+            const padded = document.createElement('canvas');
+            padded.width = src.width + margin * 2;
+            padded.height = src.height + margin * 2;
+            const paddedCtx = padded.getContext('2d');
+            paddedCtx.fillStyle = canvas.backgroundColor || '#ffffff';
+            paddedCtx.fillRect(0, 0, padded.width, padded.height);
+            paddedCtx.drawImage(element, src.x - margin, src.y - margin, padded.width, padded.height,
+                0, 0, padded.width, padded.height);
+            ctx.filter = `blur(${radius}px)`;
+            ctx.drawImage(padded, -margin, -margin);
+        }
+
+        this._redacted = { key: key, bg: bg, canvas: out };
+        return out;
+    }
+
+    _render(ctx) {
+        const bg = this.canvas && this.canvas.backgroundImage;
+        const x = -this.width / 2;
+        const y = -this.height / 2;
+        if (this.redactMode === 'solid' || !bg) {
+            ctx.fillStyle = this.redactMode === 'solid' ? this.fill : this.canvas.backgroundColor;
+            ctx.fillRect(x, y, this.width, this.height);
+            return;
+        }
+        ctx.drawImage(this.getRedactedRegion(bg), x, y, this.width, this.height);
+    }
+
+    // SVG gets the obscured pixels as an image, never the original
+    _toSVG() {
+        const bg = this.canvas && this.canvas.backgroundImage;
+        if (this.redactMode === 'solid' || !bg) {
+            return super._toSVG();
+        }
+        const dataUrl = this.getRedactedRegion(bg).toDataURL('image/png');
+        return ['<image ', 'COMMON_PARTS', `x="${-this.width / 2}" y="${-this.height / 2}" `,
+            `width="${this.width}" height="${this.height}" preserveAspectRatio="none" `,
+            `xlink:href="${dataUrl}" />\n`];
+    }
+
+    toObject(propertiesToInclude = []) {
+        return super.toObject([...propertiesToInclude, 'redactMode', 'strength']);
+    }
+}
+fabric.classRegistry.setClass(Redaction);
+
+// Resizing a redaction changes its area, not the size of its blocks
+canvas.on('object:modified', (e) => {
+    const target = e.target;
+    if (target instanceof Redaction && (target.scaleX !== 1 || target.scaleY !== 1)) {
+        target.set({
+            width: target.width * target.scaleX,
+            height: target.height * target.scaleY,
+            scaleX: 1,
+            scaleY: 1
+        });
+        target.setCoords();
+    }
+});
+
+// Magnifier: a lens showing part of the background enlarged, with a connector to
+// the part it shows. The source region's center is kept in canvas coordinates
+// and has its own handle; its size is the lens size divided by the zoom.
+const MAGNIFIER_RADIUS = 12; // Corner radius of the rounded lens
+let magnifierClipCounter = 0;
+
+function magnifierSourceControl() {
+    return new fabric.Control({
+        cursorStyle: 'move',
+        actionName: 'moveSource',
+        positionHandler: (dim, finalMatrix, magnifier) => {
+            return new fabric.Point(magnifier.sourceX, magnifier.sourceY).transform(magnifier.canvas.viewportTransform);
+        },
+        actionHandler: (eventData, transform, x, y) => {
+            transform.target.set({ sourceX: x, sourceY: y });
+            return true;
+        }
+    });
+}
+
+class Magnifier extends fabric.Rect {
+    static type = 'Magnifier';
+    static cacheProperties = [...fabric.Rect.cacheProperties, 'sourceX', 'sourceY', 'zoom', 'lensShape'];
+    static ownDefaults = {
+        sourceX: 0,
+        sourceY: 0,
+        zoom: 2.5,
+        lensShape: 'circle',
+        fill: 'transparent',
+        lockRotation: true,
+        objectCaching: false // The connector and source outline reach outside the lens
+    };
+
+    static getDefaults() {
+        return { ...super.getDefaults(), ...Magnifier.ownDefaults };
+    }
+
+    static createControls() {
+        const controls = fabric.controlsUtils.createObjectDefaultControls();
+        delete controls.mtr;
+        return { controls: { ...controls, source: magnifierSourceControl() } };
+    }
+
+    constructor(options = {}) {
+        super({ ...Magnifier.ownDefaults, ...options });
+    }
+
+    // The magnified area in canvas coordinates
+    getSourceRect() {
+        const width = this.width * this.scaleX / this.zoom;
+        const height = this.height * this.scaleY / this.zoom;
+        return { left: this.sourceX - width / 2, top: this.sourceY - height / 2, width: width, height: height };
+    }
+
+    // Outline of the lens (or of the source region, at the source's size) centered on x, y
+    _tracePath(ctx, x, y, width, height) {
+        ctx.beginPath();
+        if (this.lensShape === 'circle') {
+            ctx.ellipse(x, y, width / 2, height / 2, 0, 0, Math.PI * 2);
+        } else {
+            ctx.roundRect(x - width / 2, y - height / 2, width, height, Math.min(MAGNIFIER_RADIUS, width / 2, height / 2));
+        }
+    }
+
+    // Where a line from the center toward (dx, dy) leaves a width x height lens or source outline
+    _edgeDistance(dx, dy, width, height) {
+        const angle = Math.atan2(dy, dx);
+        if (this.lensShape === 'circle') {
+            const a = width / 2;
+            const b = height / 2;
+            return a * b / Math.hypot(b * Math.cos(angle), a * Math.sin(angle));
+        }
+        return Math.min(width / 2 / Math.abs(Math.cos(angle) || 1e-9), height / 2 / Math.abs(Math.sin(angle) || 1e-9));
+    }
+
+    // The connector and the source, in object coordinates
+    _getSourceLayout() {
+        const source = new fabric.Point(this.sourceX, this.sourceY)
+            .transform(fabric.util.invertTransform(this.calcTransformMatrix()));
+        const width = this.width / this.zoom;
+        const height = this.height / this.zoom;
+        const distance = Math.hypot(source.x, source.y);
+        const fromLens = this._edgeDistance(source.x, source.y, this.width, this.height);
+        const fromSource = this._edgeDistance(source.x, source.y, width, height);
+        const connector = distance > fromLens + fromSource ? {
+            x1: source.x / distance * fromLens,
+            y1: source.y / distance * fromLens,
+            x2: source.x / distance * (distance - fromSource),
+            y2: source.y / distance * (distance - fromSource)
+        } : null;
+        return { source, width, height, connector };
+    }
+
+    // The source region enlarged into a w x h lens centered on the origin, with the
+    // redactions over it obscured the same way they are on the document
+    _drawLensContents(ctx, w, h) {
+        const bg = this.canvas && this.canvas.backgroundImage;
+        ctx.fillStyle = (this.canvas && this.canvas.backgroundColor) || '#ffffff';
+        ctx.fillRect(-w / 2, -h / 2, w, h);
+        if (!bg) return;
+
+        const src = this.getSourceRect();
+        ctx.drawImage(bg.getElement(),
+            (src.left - bg.left) / bg.scaleX, (src.top - bg.top) / bg.scaleY,
+            src.width / bg.scaleX, src.height / bg.scaleY, -w / 2, -h / 2, w, h);
+
+        const scaleX = w / src.width;
+        const scaleY = h / src.height;
+        getRedactions().filter(obj => obj.visible).forEach(redaction => {
+            const region = redaction.getRegion();
+            const x = -w / 2 + (region.x - src.left) * scaleX;
+            const y = -h / 2 + (region.y - src.top) * scaleY;
+            if (redaction.redactMode === 'solid') {
+                ctx.fillStyle = redaction.fill;
+                ctx.fillRect(x, y, region.width * scaleX, region.height * scaleY);
+            } else {
+                ctx.drawImage(redaction.getRedactedRegion(bg), x, y, region.width * scaleX, region.height * scaleY);
+            }
+        });
+    }
+
+    _render(ctx) {
+        const layout = this._getSourceLayout();
+        ctx.save();
+        ctx.strokeStyle = this.stroke;
+        ctx.lineWidth = this.strokeWidth;
+        ctx.setLineDash(this.strokeDashArray || []);
+
+        // Connector and source outline
+        if (layout.connector) {
+            ctx.beginPath();
+            ctx.moveTo(layout.connector.x1, layout.connector.y1);
+            ctx.lineTo(layout.connector.x2, layout.connector.y2);
+            ctx.stroke();
+        }
+        this._tracePath(ctx, layout.source.x, layout.source.y, layout.width, layout.height);
+        ctx.stroke();
+
+        // Lens contents, read live from the background
+        this._tracePath(ctx, 0, 0, this.width, this.height);
+        ctx.save();
+        ctx.clip();
+        this._drawLensContents(ctx, this.width, this.height);
+        ctx.restore();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // The lens contents are embedded as an image, clipped to the lens shape
+    _toSVG() {
+        const layout = this._getSourceLayout();
+        const w = this.width;
+        const h = this.height;
+        const shape = (x, y, width, height, attrs) => this.lensShape === 'circle'
+            ? `<ellipse cx="${x}" cy="${y}" rx="${width / 2}" ry="${height / 2}" ${attrs}/>\n`
+            : `<rect x="${x - width / 2}" y="${y - height / 2}" width="${width}" height="${height}" ` +
+            `rx="${Math.min(MAGNIFIER_RADIUS, width / 2, height / 2)}" ${attrs}/>\n`;
+        const stroke = `fill="none" stroke="${this.stroke}" stroke-width="${this.strokeWidth}"`;
+
+        const lens = document.createElement('canvas');
+        lens.width = Math.max(1, Math.round(w));
+        lens.height = Math.max(1, Math.round(h));
+        const ctx = lens.getContext('2d');
+        ctx.translate(lens.width / 2, lens.height / 2);
+        ctx.scale(lens.width / w, lens.height / h);
+        this._tracePath(ctx, 0, 0, w, h);
+        ctx.clip();
+        this._drawLensContents(ctx, w, h);
+
+        const clipId = `magnifier-clip-${++magnifierClipCounter}`;
+        const markup = [];
+        if (layout.connector) {
+            const c = layout.connector;
+            markup.push(`<line x1="${c.x1}" y1="${c.y1}" x2="${c.x2}" y2="${c.y2}" ${stroke}/>\n`);
+        }
+        markup.push(shape(layout.source.x, layout.source.y, layout.width, layout.height, stroke));
+        markup.push(`<clipPath id="${clipId}">${shape(0, 0, w, h, '')}</clipPath>\n`);
+        markup.push(`<image x="${-w / 2}" y="${-h / 2}" width="${w}" height="${h}" preserveAspectRatio="none" ` +
+            `clip-path="url(#${clipId})" xlink:href="${lens.toDataURL('image/png')}"/>\n`);
+        markup.push(shape(0, 0, w, h, stroke));
+        return ['<g ', 'COMMON_PARTS', '>\n', ...markup, '</g>\n'];
+    }
+
+    toObject(propertiesToInclude = []) {
+        return super.toObject([...propertiesToInclude, 'sourceX', 'sourceY', 'zoom', 'lensShape']);
+    }
+}
+fabric.classRegistry.setClass(Magnifier);
+
+// Resizing a magnifier changes the lens (and with it the source region), bake it into the size
+canvas.on('object:modified', (e) => {
+    const target = e.target;
+    if (target instanceof Magnifier && (target.scaleX !== 1 || target.scaleY !== 1)) {
+        target.set({
+            width: target.width * target.scaleX,
+            height: target.height * target.scaleY,
+            scaleX: 1,
+            scaleY: 1
+        });
+        target.setCoords();
+    }
+});
+
+// Spotlight: a region left clear while the document around it is dimmed or
+// desaturated. All spotlights share one overlay, drawn by the lowest of them
+// with a hole for each, so annotations stacked above the spotlights stay vivid.
+const SPOTLIGHT_COLORS = { dim: '#000000', desaturate: '#808080' };
+let spotlightMaskCounter = 0;
+
+class Spotlight extends fabric.Rect {
+    static type = 'Spotlight';
+    static cacheProperties = [...fabric.Rect.cacheProperties, 'spotShape', 'spotMode', 'dimOpacity'];
+    static ownDefaults = {
+        spotShape: 'rect', // 'rect' or 'ellipse'
+        spotMode: 'dim', // 'dim' or 'desaturate'
+        dimOpacity: 0.6,
+        fill: 'transparent',
+        strokeWidth: 0,
+        objectCaching: false // The overlay covers the whole document
+    };
+
+    static getDefaults() {
+        return { ...super.getDefaults(), ...Spotlight.ownDefaults };
+    }
+
+    constructor(options = {}) {
+        super({ ...Spotlight.ownDefaults, ...options });
+    }
+
+    getSpotlights() {
+        return this.canvas ? this.canvas.getObjects().filter(obj => obj instanceof Spotlight && obj.visible) : [this];
+    }
+
+    // The overlay shows even when the region itself is scrolled or cropped out of view
+    isOnScreen() {
+        return true;
+    }
+
+    // Only the lowest spotlight draws the overlay
+    drawsOverlay() {
+        return this.getSpotlights()[0] === this;
+    }
+
+    _traceShape(ctx) {
+        ctx.beginPath();
+        if (this.spotShape === 'ellipse') {
+            ctx.ellipse(0, 0, this.width / 2, this.height / 2, 0, 0, Math.PI * 2);
+        } else {
+            ctx.rect(-this.width / 2, -this.height / 2, this.width, this.height);
+        }
+    }
+
+    // The overlay is drawn to a scratch canvas the size of the target, with the
+    // holes cut out, so overlapping spotlights don't dim each other back in
+    _render(ctx) {
+        if (!this.drawsOverlay()) return;
+
+        const target = ctx.canvas;
+        if (!this._overlay) {
+            this._overlay = document.createElement('canvas');
+        }
+        const overlay = this._overlay;
+        overlay.width = target.width;
+        overlay.height = target.height;
+        const octx = overlay.getContext('2d');
+        octx.setTransform(ctx.getTransform());
+        octx.transform(...fabric.util.invertTransform(this.calcTransformMatrix()));
+        octx.fillStyle = SPOTLIGHT_COLORS[this.spotMode];
+        octx.fillRect(0, 0, originalWidth, originalHeight);
+        octx.globalCompositeOperation = 'destination-out';
+        this.getSpotlights().forEach(spot => {
+            octx.save();
+            octx.transform(...spot.calcTransformMatrix());
+            spot._traceShape(octx);
+            octx.fill();
+            octx.restore();
+        });
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha *= this.dimOpacity;
+        ctx.globalCompositeOperation = this.spotMode === 'desaturate' ? 'saturation' : 'source-over';
+        ctx.drawImage(overlay, 0, 0);
+        ctx.restore();
+    }
+
+    // SVG uses a mask for the holes, in document coordinates
+    _toSVG() {
+        if (!this.drawsOverlay()) {
+            return ['<g ', 'COMMON_PARTS', '></g>\n'];
+        }
+        const matrix = (m) => `matrix(${m.join(' ')})`;
+        const maskId = `spotlight-mask-${++spotlightMaskCounter}`;
+        const holes = this.getSpotlights().map(spot => {
+            const shape = spot.spotShape === 'ellipse'
+                ? `<ellipse cx="0" cy="0" rx="${spot.width / 2}" ry="${spot.height / 2}"`
+                : `<rect x="${-spot.width / 2}" y="${-spot.height / 2}" width="${spot.width}" height="${spot.height}"`;
+            return `${shape} fill="black" transform="${matrix(spot.calcTransformMatrix())}"/>\n`;
+        });
+        const blend = this.spotMode === 'desaturate' ? ' style="mix-blend-mode: saturation"' : '';
+        return [
+            '<g ', 'COMMON_PARTS', '>\n',
+            `<g transform="${matrix(fabric.util.invertTransform(this.calcTransformMatrix()))}">\n`,
+            `<mask id="${maskId}" maskUnits="userSpaceOnUse">\n`,
+            `<rect x="0" y="0" width="${originalWidth}" height="${originalHeight}" fill="white"/>\n`,
+            ...holes,
+            '</mask>\n',
+            `<rect x="0" y="0" width="${originalWidth}" height="${originalHeight}" fill="${SPOTLIGHT_COLORS[this.spotMode]}" ` +
+            `fill-opacity="${this.dimOpacity}" mask="url(#${maskId})"${blend}/>\n`,
+            '</g>\n',
+            '</g>\n'
+        ];
+    }
+
+    toObject(propertiesToInclude = []) {
+        return super.toObject([...propertiesToInclude, 'spotShape', 'spotMode', 'dimOpacity']);
+    }
+}
+fabric.classRegistry.setClass(Spotlight);
+
+function getRedactions() {
+    return canvas.getObjects().filter(obj => obj instanceof Redaction);
+}
+
+function getStepMarkers() {
+    return canvas.getObjects().filter(obj => obj instanceof StepMarker);
+}
+
+// Number the markers by stacking order. The numbers are derived from the objects
+// on the canvas rather than kept in a counter, so deleting, reordering, undo and
+// redo (which reload the objects) all leave them consistent.
+function renumberStepMarkers() {
+    getStepMarkers().forEach((marker, index) => {
+        if (marker.stepNumber !== index + 1) {
+            marker.set('stepNumber', index + 1);
+        }
+    });
+    canvas.requestRenderAll();
+}
+
+canvas.on('object:added', (e) => {
+    if (e.target instanceof StepMarker) renumberStepMarkers();
+});
+canvas.on('object:removed', (e) => {
+    if (e.target instanceof StepMarker) renumberStepMarkers();
+});
+// =========== END CUSTOM OBJECTS ===========
+
 // =========== UNDO/REDO SYSTEM ===========
+// A history entry doesn't hold the state itself but the hashes of its parts:
+// every object's JSON and the background image are stored once under a content
+// hash, and entries list which of them make up their state. A stroke only writes
+// the objects it changed, and undo/redo keep the decoded background when it is
+// the same one.
 let undoStack = [];  // Array of state IDs (not actual states)
 let redoStack = [];  // Array of state IDs
 let historyLock = false;
 let lastActionWasUndoRedo = false;
-const MAX_UNDO_STEPS = 100;
 const DB_NAME = 'SimpleSkitchDB';
+const DB_VERSION = 4;
 const STORE_NAME = 'history';
+const OBJECT_STORE = 'objects'; // Object JSON by content hash
+const BACKGROUND_STORE = 'backgrounds'; // Background data URLs by content hash
+const SESSION_STORE = 'session'; // Stack layout of each open document, for crash recovery
+const HISTORY_STORES = [STORE_NAME, OBJECT_STORE, BACKGROUND_STORE];
 let db = null;
 let stateCounter = 0;
 
+// Each document window shares the database, so history keys are namespaced by
+// document ID ("<docId>:<stateId>") and sessions are keyed by document ID.
+const urlParams = new URLSearchParams(window.location.search);
+let docId = urlParams.get('doc') || 'default';
+const restoreMode = urlParams.get('restore'); // 'ask' on app start, 'resume' for a restored document
+
+function historyKey(id) {
+    return docId + ':' + id;
+}
+
+function historyKeyRange(id) {
+    return IDBKeyRange.bound(id + ':', id + ':\uffff');
+}
+
 // Initialize IndexedDB
 function initDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, 1);
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
 
         request.onerror = () => {
             log('Error opening IndexedDB');
@@ -55,29 +909,69 @@ function initDB() {
 
         request.onupgradeneeded = (event) => {
             const database = event.target.result;
-            if (!database.objectStoreNames.contains(STORE_NAME)) {
-                database.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            // Before v3 history keys were not namespaced by document, before v4
+            // history entries were full snapshots
+            if (event.oldVersion < 4) {
+                [STORE_NAME, SESSION_STORE].forEach(name => {
+                    if (database.objectStoreNames.contains(name)) {
+                        database.deleteObjectStore(name);
+                    }
+                });
             }
+            [...HISTORY_STORES, SESSION_STORE].forEach(name => {
+                if (!database.objectStoreNames.contains(name)) {
+                    database.createObjectStore(name, { keyPath: 'id' });
+                }
+            });
         };
     });
 }
 
-// Clear all history from IndexedDB
+// Clear this document's history (and the recovery session pointing into it) from IndexedDB
 function clearDB() {
+    return deleteDocumentFromDB(docId);
+}
+
+function deleteDocumentFromDB(id) {
     return new Promise((resolve) => {
         if (!db) {
             resolve();
             return;
         }
         try {
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.clear();
-            request.onsuccess = () => {
+            const transaction = db.transaction([...HISTORY_STORES, SESSION_STORE], 'readwrite');
+            HISTORY_STORES.forEach(name => transaction.objectStore(name).delete(historyKeyRange(id)));
+            transaction.objectStore(SESSION_STORE).delete(id);
+            transaction.oncomplete = () => {
+                log('IndexedDB cleared for ' + id);
+                resolve();
+            };
+            transaction.onerror = () => {
+                log('Error clearing IndexedDB');
+                resolve();
+            };
+        } catch (e) {
+            log('Error clearing DB: ' + e);
+            resolve();
+        }
+    });
+}
+
+// Clear every document's history (fresh start of the app)
+function clearAllDB() {
+    return new Promise((resolve) => {
+        if (!db) {
+            resolve();
+            return;
+        }
+        try {
+            const transaction = db.transaction([...HISTORY_STORES, SESSION_STORE], 'readwrite');
+            [...HISTORY_STORES, SESSION_STORE].forEach(name => transaction.objectStore(name).clear());
+            transaction.oncomplete = () => {
                 log('IndexedDB cleared');
                 resolve();
             };
-            request.onerror = () => {
+            transaction.onerror = () => {
                 log('Error clearing IndexedDB');
                 resolve();
             };
@@ -88,17 +982,20 @@ function clearDB() {
     });
 }
 
-// Save state to IndexedDB
-function saveStateTooDB(id, state) {
+// Save a history entry to IndexedDB, together with the objects and background
+// it introduced ({ store, hash, value } records)
+function saveEntryToDB(id, entry, records) {
     return new Promise((resolve) => {
         if (!db) {
             resolve();
             return;
         }
         try {
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            store.put({ id: id, state: state });
+            const transaction = db.transaction(HISTORY_STORES, 'readwrite');
+            records.forEach(record => {
+                transaction.objectStore(record.store).put({ id: historyKey(record.hash), value: record.value });
+            });
+            transaction.objectStore(STORE_NAME).put({ id: historyKey(id), entry: entry });
             transaction.oncomplete = () => resolve();
             transaction.onerror = () => {
                 log('Error saving state to DB');
@@ -111,8 +1008,8 @@ function saveStateTooDB(id, state) {
     });
 }
 
-// Load state from IndexedDB
-function loadStateFromDB(id) {
+// Load a history entry from IndexedDB
+function loadEntryFromDB(id) {
     return new Promise((resolve) => {
         if (!db) {
             resolve(null);
@@ -121,9 +1018,9 @@ function loadStateFromDB(id) {
         try {
             const transaction = db.transaction([STORE_NAME], 'readonly');
             const store = transaction.objectStore(STORE_NAME);
-            const request = store.get(id);
+            const request = store.get(historyKey(id));
             request.onsuccess = () => {
-                resolve(request.result ? request.result.state : null);
+                resolve(request.result ? request.result.entry : null);
             };
             request.onerror = () => {
                 log('Error loading state from DB');
@@ -136,45 +1033,256 @@ function loadStateFromDB(id) {
     });
 }
 
-// Delete states from IndexedDB that are no longer in stacks
-async function cleanupDB() {
-    if (!db) return;
-    try {
-        const validIds = new Set([...undoStack, ...redoStack]);
-        const transaction = db.transaction([STORE_NAME], 'readwrite');
-        const store = transaction.objectStore(STORE_NAME);
-        const request = store.getAllKeys();
-        request.onsuccess = () => {
-            const allKeys = request.result;
-            allKeys.forEach(key => {
-                if (!validIds.has(key)) {
-                    store.delete(key);
-                }
+// Load stored objects or backgrounds by hash, as a hash -> value map (missing ones are left out)
+function loadRecordsFromDB(storeName, hashes) {
+    return new Promise((resolve) => {
+        const records = new Map();
+        if (!db || hashes.length === 0) {
+            resolve(records);
+            return;
+        }
+        try {
+            const transaction = db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            hashes.forEach(hash => {
+                const request = store.get(historyKey(hash));
+                request.onsuccess = () => {
+                    if (request.result) records.set(hash, request.result.value);
+                };
             });
-        };
-    } catch (e) {
-        log('Error cleaning up DB: ' + e);
-    }
-}
-
-// Clear history (called by doNew, doOpen, doPaste)
-async function clearHistoryStorage() {
-    undoStack = [];
-    redoStack = [];
-    stateCounter = 0;
-    await clearDB();
+            transaction.oncomplete = () => resolve(records);
+            transaction.onerror = () => {
+                log('Error loading ' + storeName + ' from DB');
+                resolve(records);
+            };
+        } catch (e) {
+            log('Error loading from DB: ' + e);
+            resolve(records);
+        }
+    });
 }
 
-// Store actual state data separately (only keep recent in memory)
-let stateCache = new Map(); // id -> state string
-
-function captureState() {
-    // Get canvas JSON but exclude backgroundImage (we handle it separately)
-    const canvasJson = canvas.toJSON([
-        'data', 'selectable', 'evented',
-        'text', 'fontSize', 'fontFamily', 'fontWeight', 'fontStyle',
-        'textAlign', 'lineHeight', 'charSpacing'
-    ]);
+// Save the session record (stack layout + document info) to IndexedDB
+function saveSessionToDB(session) {
+    return new Promise((resolve) => {
+        if (!db) {
+            resolve();
+            return;
+        }
+        try {
+            const transaction = db.transaction([SESSION_STORE], 'readwrite');
+            transaction.objectStore(SESSION_STORE).put(session);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                log('Error saving session to DB');
+                resolve();
+            };
+        } catch (e) {
+            log('Error saving session: ' + e);
+            resolve();
+        }
+    });
+}
+
+// Load the session records left by the previous run, most recent first
+function loadSessionsFromDB() {
+    return new Promise((resolve) => {
+        if (!db) {
+            resolve([]);
+            return;
+        }
+        try {
+            const transaction = db.transaction([SESSION_STORE], 'readonly');
+            const request = transaction.objectStore(SESSION_STORE).getAll();
+            request.onsuccess = () => {
+                resolve(request.result.sort((a, b) => b.savedAt - a.savedAt));
+            };
+            request.onerror = () => {
+                log('Error loading sessions from DB');
+                resolve([]);
+            };
+        } catch (e) {
+            log('Error loading sessions: ' + e);
+            resolve([]);
+        }
+    });
+}
+
+// Delete states from IndexedDB that are no longer in stacks, and the objects
+// and backgrounds no remaining state uses
+async function cleanupDB() {
+    if (!db) return;
+    try {
+        // The references are read from memory, so load every live entry first
+        await Promise.all([...undoStack, ...redoStack].map(getHistoryEntry));
+
+        const transaction = db.transaction(HISTORY_STORES, 'readwrite');
+        HISTORY_STORES.forEach(name => {
+            const store = transaction.objectStore(name);
+            const request = store.getAllKeys(historyKeyRange(docId));
+            request.onsuccess = () => {
+                // Collected here rather than up front so entries saved meanwhile count too
+                const validKeys = getLiveHistoryKeys()[name];
+                request.result.forEach(key => {
+                    if (!validKeys.has(key)) {
+                        store.delete(key);
+                    }
+                });
+            };
+        });
+    } catch (e) {
+        log('Error cleaning up DB: ' + e);
+    }
+
+    // Forget what the dropped states held
+    const live = new Set([...undoStack, ...redoStack]);
+    [...historyEntries.keys()].filter(id => !live.has(id)).forEach(id => historyEntries.delete(id));
+    const liveKeys = getLiveHistoryKeys();
+    [...objectCache.keys()].filter(hash => !liveKeys[OBJECT_STORE].has(historyKey(hash)))
+        .forEach(hash => objectCache.delete(hash));
+    [...storedBackgrounds].filter(hash => !liveKeys[BACKGROUND_STORE].has(historyKey(hash)))
+        .forEach(hash => storedBackgrounds.delete(hash));
+}
+
+// The database keys, per store, of the states in the stacks and the parts they use
+function getLiveHistoryKeys() {
+    const keys = { [STORE_NAME]: new Set(), [OBJECT_STORE]: new Set(), [BACKGROUND_STORE]: new Set() };
+    [...undoStack, ...redoStack].forEach(id => {
+        keys[STORE_NAME].add(historyKey(id));
+        const entry = historyEntries.get(id);
+        if (!entry) return;
+        entry.objects.forEach(hash => keys[OBJECT_STORE].add(historyKey(hash)));
+        if (entry.background) keys[BACKGROUND_STORE].add(historyKey(entry.background.hash));
+    });
+    return keys;
+}
+
+// Clear history (called by doNew, doOpen, doPaste)
+async function clearHistoryStorage() {
+    undoStack = [];
+    redoStack = [];
+    stateCounter = 0;
+    historyEntries.clear();
+    objectCache.clear();
+    storedBackgrounds.clear();
+    backgroundImages.clear();
+    refreshHistoryPanel();
+    await clearDB();
+}
+
+// Entries are small enough to keep in memory for the whole stack. Object JSON is
+// kept too; background data URLs are only written, the decoded images of the
+// last few backgrounds are kept instead.
+const MAX_CACHED_BACKGROUNDS = 3;
+let historyEntries = new Map(); // id -> entry
+let objectCache = new Map(); // hash -> object JSON, for every object stored
+let storedBackgrounds = new Set(); // hashes of the backgrounds in the database
+let backgroundImages = new Map(); // hash -> FabricImage, most recently used last
+let backgroundHashes = new WeakMap(); // FabricImage -> hash, so a background is encoded once
+
+// 53-bit string hash (cyrb53). Not cryptographic, only used to tell contents apart.
+function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16) + '-' + str.length.toString(16);
+}
+
+function cacheBackgroundImage(hash, img) {
+    backgroundHashes.set(img, hash);
+    backgroundImages.delete(hash);
+    backgroundImages.set(hash, img);
+    if (backgroundImages.size > MAX_CACHED_BACKGROUNDS) {
+        backgroundImages.delete(backgroundImages.keys().next().value);
+    }
+}
+
+// Selectability isn't saved, it follows the current tool and the layer locks in data
+const HISTORY_PROPERTIES = [
+    'data',
+    'text', 'fontSize', 'fontFamily', 'fontWeight', 'fontStyle',
+    'textAlign', 'lineHeight', 'charSpacing'
+];
+
+// Capture the current state as an entry of hashes. Objects and backgrounds not
+// stored yet are added to records for saving alongside the entry.
+function captureHistoryEntry(records) {
+    // Serialized per object: serializing the canvas would encode the background every time
+    const canvasProps = { version: fabric.version, background: canvas.backgroundColor };
+    const objects = canvas.getObjects().filter(obj => !obj.excludeFromExport)
+        .map(obj => obj.toObject(HISTORY_PROPERTIES));
+
+    const objectHashes = objects.map(obj => {
+        const json = JSON.stringify(obj);
+        const hash = hashString(json);
+        if (!objectCache.has(hash)) {
+            objectCache.set(hash, json);
+            records.push({ store: OBJECT_STORE, hash: hash, value: json });
+        }
+        return hash;
+    });
+
+    let background = null;
+    const bg = canvas.backgroundImage;
+    if (bg) {
+        try {
+            // Only a new background image is encoded and hashed
+            let hash = backgroundHashes.get(bg);
+            let dataUrl = null;
+            if (!hash) {
+                dataUrl = bg.toDataURL();
+                hash = hashString(dataUrl);
+                cacheBackgroundImage(hash, bg);
+            }
+            if (!storedBackgrounds.has(hash)) {
+                storedBackgrounds.add(hash);
+                records.push({ store: BACKGROUND_STORE, hash: hash, value: dataUrl || bg.toDataURL() });
+            }
+            background = {
+                hash: hash,
+                left: bg.left || 0,
+                top: bg.top || 0,
+                scaleX: bg.scaleX || 1,
+                scaleY: bg.scaleY || 1
+            };
+        } catch (e) {
+            log('Error capturing background: ' + e);
+        }
+    }
+
+    return {
+        canvas: canvasProps,
+        objects: objectHashes,
+        background: background,
+        crop: cropRect,
+        documentWidth: originalWidth,
+        documentHeight: originalHeight,
+        canvasWidth: canvas.width,
+        canvasHeight: canvas.height
+    };
+}
+
+async function getHistoryEntry(id) {
+    if (historyEntries.has(id)) {
+        return historyEntries.get(id);
+    }
+    const entry = await loadEntryFromDB(id);
+    if (entry) {
+        historyEntries.set(id, entry);
+    }
+    return entry;
+}
+
+// A full snapshot of the document, with the background embedded (used by projects)
+function captureState() {
+    // Get canvas JSON but exclude backgroundImage (we handle it separately)
+    const canvasJson = canvas.toObject(HISTORY_PROPERTIES);
 
     // Remove backgroundImage from the JSON to avoid loadFromJSON hanging
     // when trying to reload the large data URL
@@ -183,6 +1291,9 @@ function captureState() {
     const state = {
         objects: canvasJson,
         background: null,
+        crop: cropRect,
+        documentWidth: originalWidth,
+        documentHeight: originalHeight,
         canvasWidth: canvas.width,
         canvasHeight: canvas.height
     };
@@ -211,19 +1322,23 @@ async function saveHistory() {
         return;
     }
 
-    const state = captureState();
+    const records = [];
+    const entry = captureHistoryEntry(records);
 
-    // Check for duplicate by comparing with last state
-    if (undoStack.length > 0) {
-        const lastId = undoStack[undoStack.length - 1];
-        const lastState = stateCache.get(lastId) || await loadStateFromDB(lastId);
-        if (lastState === state) {
-            return;
-        }
+    // Entries are a few hashes, so comparing them is cheap
+    const lastEntry = undoStack.length > 0 ? await getHistoryEntry(undoStack[undoStack.length - 1]) : null;
+    if (lastEntry && getEntrySignature(lastEntry) === getEntrySignature(entry)) {
+        return;
     }
 
+    // What the history panel shows for this step
+    entry.label = describeHistoryStep(lastEntry, entry);
+    entry.thumbnail = renderHistoryThumbnail();
+
     // Only clear redo stack if this is a NEW user action
+    let dropped = false;
     if (!lastActionWasUndoRedo) {
+        dropped = redoStack.length > 0;
         redoStack = [];
     }
     lastActionWasUndoRedo = false;
@@ -233,15 +1348,15 @@ async function saveHistory() {
     const stateId = stateCounter;
 
     undoStack.push(stateId);
-    stateCache.set(stateId, state);
+    historyEntries.set(stateId, entry);
 
-    // Save to IndexedDB asynchronously
-    saveStateTooDB(stateId, state);
+    // Save to IndexedDB asynchronously, then point the recovery session at it
+    saveEntryToDB(stateId, entry, records).then(scheduleSessionSave);
 
-    // Trim stack if too large
-    if (undoStack.length > MAX_UNDO_STEPS) {
-        const removedId = undoStack.shift();
-        stateCache.delete(removedId);
+    // Trim stack if too large (the limit may just have been lowered in the preferences)
+    while (undoStack.length > settings.maxUndoSteps) {
+        undoStack.shift();
+        dropped = true;
     }
 
     // Mark as modified if we have more than the check point
@@ -249,26 +1364,68 @@ async function saveHistory() {
         isModified = true;
     }
 
-    // Limit cache size
-    if (stateCache.size > 20) {
-        const keysToDelete = [...stateCache.keys()].slice(0, stateCache.size - 20);
-        keysToDelete.forEach(k => stateCache.delete(k));
+    // Free the objects and backgrounds only the dropped states used
+    if (dropped) {
+        cleanupDB();
     }
 
-    log('History saved. Undo: ' + undoStack.length + ', Redo: ' + redoStack.length);
+    refreshHistoryPanel();
+    log('History saved (' + entry.label + '). Undo: ' + undoStack.length + ', Redo: ' + redoStack.length +
+        ', new objects: ' + records.filter(record => record.store === OBJECT_STORE).length);
 }
 
+// The state an entry describes, without its label and thumbnail
+function getEntrySignature(entry) {
+    const { label, thumbnail, ...state } = entry;
+    return JSON.stringify(state);
+}
+
+// Put a state back together from its entry. The background is referred to by
+// hash; restoreFromState() looks it up.
 async function getStateById(id) {
-    // Check cache first
-    if (stateCache.has(id)) {
-        return stateCache.get(id);
+    const entry = await getHistoryEntry(id);
+    if (!entry) {
+        return null;
     }
-    // Load from DB
-    const state = await loadStateFromDB(id);
-    if (state) {
-        stateCache.set(id, state);
+
+    const missing = entry.objects.filter(hash => !objectCache.has(hash));
+    if (missing.length > 0) {
+        const loaded = await loadRecordsFromDB(OBJECT_STORE, missing);
+        loaded.forEach((json, hash) => objectCache.set(hash, json));
+    }
+    if (entry.objects.some(hash => !objectCache.has(hash))) {
+        log('State ' + id + ' is missing objects');
+        return null;
+    }
+
+    const { canvas: canvasProps, objects, label, thumbnail, ...rest } = entry;
+    return JSON.stringify({
+        ...rest,
+        objects: { ...canvasProps, objects: objects.map(hash => JSON.parse(objectCache.get(hash))) }
+    });
+}
+
+// The image for a state's background: embedded (projects), the current or a
+// recently used one with the same hash, or loaded from the database
+async function resolveBackground(background, current) {
+    if (background.dataUrl) {
+        return fabric.FabricImage.fromURL(background.dataUrl);
+    }
+    if (current && backgroundHashes.get(current) === background.hash) {
+        return current;
     }
-    return state;
+    if (backgroundImages.has(background.hash)) {
+        return backgroundImages.get(background.hash);
+    }
+
+    const loaded = await loadRecordsFromDB(BACKGROUND_STORE, [background.hash]);
+    if (!loaded.has(background.hash)) {
+        throw new Error('background ' + background.hash + ' is missing');
+    }
+    const img = await fabric.FabricImage.fromURL(loaded.get(background.hash));
+    cacheBackgroundImage(background.hash, img);
+    storedBackgrounds.add(background.hash);
+    return img;
 }
 
 async function restoreFromState(stateJson) {
@@ -276,6 +1433,11 @@ async function restoreFromState(stateJson) {
 
     log('Restoring state: hasBackground=' + !!state.background + ', dims=' + state.canvasWidth + 'x' + state.canvasHeight);
 
+    // A crop frame that wasn't applied doesn't survive undo/redo
+    if (cropEditing) {
+        switchToSelect();
+    }
+
     // Restore canvas dimensions if saved
     if (state.canvasWidth && state.canvasHeight) {
         canvas.setDimensions({
@@ -285,11 +1447,10 @@ async function restoreFromState(stateJson) {
     }
 
     // Clear canvas
+    const currentBackground = canvas.backgroundImage;
     canvas.clear();
     canvas.backgroundColor = 'white';
 
-
-
     // Load objects (Fabric.js v7 uses Promise-based API, not callbacks)
     try {
         await canvas.loadFromJSON(state.objects);
@@ -297,11 +1458,17 @@ async function restoreFromState(stateJson) {
     } catch (e) {
         log('Error loading objects: ' + e);
     }
+    canvas.forEachObject(obj => {
+        if (isLocked(obj)) {
+            obj.selectable = false;
+            obj.evented = false;
+        }
+    });
 
     // Then restore background image separately (properly awaited)
-    if (state.background && state.background.dataUrl) {
+    if (state.background) {
         try {
-            const img = await fabric.FabricImage.fromURL(state.background.dataUrl);
+            const img = await resolveBackground(state.background, currentBackground);
             img.set({
                 left: state.background.left,
                 top: state.background.top,
@@ -316,25 +1483,20 @@ async function restoreFromState(stateJson) {
         }
     }
 
-    canvas.renderAll();
+    // Padding, resizing and rotating change the document size
+    if (state.documentWidth && state.documentHeight) {
+        originalWidth = state.documentWidth;
+        originalHeight = state.documentHeight;
+    }
+    cropRect = state.crop || null;
+    applyView();
     log('Restore complete. backgroundImage=' + !!canvas.backgroundImage);
 }
 
-async function performUndo() {
-    // Guard against concurrent undo/redo
-    if (historyLock) {
-        log('Undo blocked: history lock active');
-        return;
-    }
-
-    if (undoStack.length <= 1) {
-        log('Nothing to undo');
-        return;
-    }
-
-    // Exit any text editing
+// Leave text editing and lock the history before the stacks are rearranged
+function lockHistoryForJump() {
     const activeObj = canvas.getActiveObject();
-    if (activeObj && activeObj.type === 'i-text' && activeObj.isEditing) {
+    if (activeObj && activeObj instanceof fabric.IText && activeObj.isEditing) {
         activeObj.exitEditing();
     }
     canvas.discardActiveObject();
@@ -348,25 +1510,27 @@ async function performUndo() {
         clearTimeout(historyTimeout);
         historyTimeout = null;
     }
+}
 
-    // Move current state ID to redo stack
-    const currentStateId = undoStack.pop();
-    redoStack.push(currentStateId);
-
-    // Get previous state from DB/cache
-    const previousStateId = undoStack[undoStack.length - 1];
-    const previousState = await getStateById(previousStateId);
+// Show the state now on top of the undo stack, then unlock
+async function restoreTopOfStack(action) {
+    const stateId = undoStack[undoStack.length - 1];
+    const state = await getStateById(stateId);
 
-    if (previousState) {
-        await restoreFromState(previousState);
-        log('Undo done. Undo: ' + undoStack.length + ', Redo: ' + redoStack.length);
+    if (state) {
+        await restoreFromState(state);
+        log(action + ' done. Undo: ' + undoStack.length + ', Redo: ' + redoStack.length);
+        scheduleSessionSave();
     } else {
-        log('Error: Could not load previous state');
+        log('Error: Could not load state ' + stateId);
     }
+    refreshHistoryPanel();
 
     // Unlock after delay
     setTimeout(() => {
         historyLock = false;
+        // The restore's own events are dropped above, the next save is a new action again
+        lastActionWasUndoRedo = false;
         if (historyTimeout) {
             clearTimeout(historyTimeout);
             historyTimeout = null;
@@ -374,57 +1538,63 @@ async function performUndo() {
     }, 500);
 }
 
-async function performRedo() {
+async function performUndo() {
     // Guard against concurrent undo/redo
     if (historyLock) {
-        log('Redo blocked: history lock active');
+        log('Undo blocked: history lock active');
         return;
     }
 
-    if (redoStack.length === 0) {
-        log('Nothing to redo');
+    if (undoStack.length <= 1) {
+        log('Nothing to undo');
         return;
     }
 
-    // Exit any text editing
-    const activeObj = canvas.getActiveObject();
-    if (activeObj && activeObj.type === 'i-text' && activeObj.isEditing) {
-        activeObj.exitEditing();
-    }
-    canvas.discardActiveObject();
+    lockHistoryForJump();
+    // Move current state ID to redo stack
+    redoStack.push(undoStack.pop());
+    await restoreTopOfStack('Undo');
+}
 
-    // Lock and set flag
-    historyLock = true;
-    lastActionWasUndoRedo = true;
+async function performRedo() {
+    // Guard against concurrent undo/redo
+    if (historyLock) {
+        log('Redo blocked: history lock active');
+        return;
+    }
 
-    // Clear any pending debounced save
-    if (historyTimeout) {
-        clearTimeout(historyTimeout);
-        historyTimeout = null;
+    if (redoStack.length === 0) {
+        log('Nothing to redo');
+        return;
     }
 
+    lockHistoryForJump();
     // Get state ID from redo and push to undo
-    const redoStateId = redoStack.pop();
-    undoStack.push(redoStateId);
-
-    // Get state from DB/cache
-    const redoState = await getStateById(redoStateId);
+    undoStack.push(redoStack.pop());
+    await restoreTopOfStack('Redo');
+}
 
-    if (redoState) {
-        await restoreFromState(redoState);
-        log('Redo done. Undo: ' + undoStack.length + ', Redo: ' + redoStack.length);
-    } else {
-        log('Error: Could not load redo state');
+// Undo or redo as many steps as it takes to reach a state (history panel)
+async function jumpToState(id) {
+    if (historyLock) {
+        log('Jump blocked: history lock active');
+        return;
+    }
+    if (undoStack[undoStack.length - 1] === id || ![...undoStack, ...redoStack].includes(id)) {
+        return;
     }
 
-    // Unlock after delay
-    setTimeout(() => {
-        historyLock = false;
-        if (historyTimeout) {
-            clearTimeout(historyTimeout);
-            historyTimeout = null;
+    lockHistoryForJump();
+    if (undoStack.includes(id)) {
+        while (undoStack[undoStack.length - 1] !== id) {
+            redoStack.push(undoStack.pop());
         }
-    }, 500);
+    } else {
+        while (undoStack[undoStack.length - 1] !== id) {
+            undoStack.push(redoStack.pop());
+        }
+    }
+    await restoreTopOfStack('Jump');
 }
 
 // Debounced save for canvas events
@@ -447,11 +1617,127 @@ canvas.on('text:editing:exited', () => {
     saveHistory();
 });
 
-// Initialize DB and clear history on app start (fresh session)
-(async function initHistory() {
+// =========== SESSION RECOVERY ===========
+// History states already live in IndexedDB; the session record remembers which
+// of them make up the undo/redo stacks so the next launch can pick up from there.
+let sessionTimeout = null;
+
+function captureSessionInfo() {
+    return {
+        id: docId,
+        undoStack: [...undoStack],
+        redoStack: [...redoStack],
+        stateCounter: stateCounter,
+        originalWidth: originalWidth,
+        originalHeight: originalHeight,
+        zoom: currentZoom,
+        isModified: isModified,
+        projectPath: currentProjectPath, // So Save Project keeps writing to the same file
+        hasContent: documentHasContent(),
+        savedAt: Date.now()
+    };
+}
+
+function scheduleSessionSave() {
+    if (sessionTimeout) clearTimeout(sessionTimeout);
+    sessionTimeout = setTimeout(() => {
+        sessionTimeout = null;
+        saveSessionToDB(captureSessionInfo());
+    }, 300);
+}
+
+async function offerSessionRestore(sessions) {
+    const lastEdited = new Date(sessions[0].savedAt).toLocaleString();
+    const documents = sessions.length === 1 ? 'Your last document' : `Your last ${sessions.length} documents`;
+    return skitch.showConfirmDialog({
+        message: 'Do you want to restore your previous session?',
+        detail: `${documents} (edited ${lastEdited}) can be restored with undo history. Choose No to start with an empty canvas.`
+    });
+}
+
+async function restoreSession(session) {
+    const currentId = session.undoStack[session.undoStack.length - 1];
+    const state = await getStateById(currentId);
+    if (!state) {
+        log('Session state ' + currentId + ' is missing');
+        return false;
+    }
+
+    undoStack = session.undoStack;
+    redoStack = session.redoStack;
+    stateCounter = session.stateCounter;
+    originalWidth = session.originalWidth;
+    originalHeight = session.originalHeight;
+    currentZoom = session.zoom || 1;
+    canvas.setZoom(currentZoom);
+
+    await restoreFromState(state);
+    setZoom(currentZoom);
+    isModified = session.isModified;
+    currentProjectPath = session.projectPath || null;
+
+    // Drop states that were trimmed off the stacks last time
+    cleanupDB();
+    return true;
+}
+
+// Pick the session(s) this window should restore: on app start the user is asked
+// about every document left over, a window opened with 'resume' takes its own.
+async function findSessionsToRestore() {
+    const sessions = await loadSessionsFromDB();
+    if (restoreMode === 'resume') {
+        return sessions.filter(session => session.id === docId);
+    }
+    if (restoreMode !== 'ask') {
+        return [];
+    }
+
+    const restorable = sessions.filter(session => session.hasContent && session.undoStack.length > 0);
+    if (restorable.length === 0 || !(await offerSessionRestore(restorable))) {
+        await clearAllDB();
+        return [];
+    }
+
+    // Drop leftovers that had nothing worth restoring
+    const restorableIds = new Set(restorable.map(session => session.id));
+    for (const session of sessions) {
+        if (!restorableIds.has(session.id)) {
+            await deleteDocumentFromDB(session.id);
+        }
+    }
+    return restorable;
+}
+
+// Initialize DB and restore the previous session if wanted, otherwise start fresh
+async function initHistory() {
     try {
         await initDB();
-        await clearDB(); // Clear on app start for fresh session
+
+        const [session, ...otherSessions] = await findSessionsToRestore();
+        if (session) {
+            // This window takes over the first document, the others get their own windows
+            docId = session.id;
+            otherSessions.forEach(other => {
+                skitch.openDocumentWindow({ docId: other.id });
+            });
+
+            historyLock = true;
+            if (await restoreSession(session)) {
+                log('Previous session restored. Undo: ' + undoStack.length + ', Redo: ' + redoStack.length);
+                refreshHistoryPanel();
+                // Let the object:added events from the restore settle before recording again
+                await new Promise(resolve => setTimeout(resolve, 500));
+                if (historyTimeout) {
+                    clearTimeout(historyTimeout);
+                    historyTimeout = null;
+                }
+                historyLock = false;
+                return;
+            }
+            historyLock = false;
+        }
+
+        await clearDB();
         log('History DB initialized and cleared for fresh session');
         historyLock = false;
         saveHistory(); // Save initial empty state
@@ -460,7 +1746,11 @@ canvas.on('text:editing:exited', () => {
         historyLock = false;
         saveHistory();
     }
-})();
+}
+
+// Documents sent to this window wait for it so a late clearDB() can't wipe them
+const historyReady = initHistory();
+// =========== END SESSION RECOVERY ===========
 // =========== END UNDO/REDO ===========
 
 // Handle window resize
@@ -469,10 +1759,7 @@ window.addEventListener('resize', () => {
         // Only resize base dimensions if we are in "sketchpad" mode (no image)
         originalWidth = window.innerWidth;
         originalHeight = window.innerHeight - 50;
-        canvas.setDimensions({
-            width: originalWidth * currentZoom,
-            height: originalHeight * currentZoom
-        });
+        applyView();
     }
 });
 
@@ -481,24 +1768,54 @@ function setZoom(zoom) {
     if (zoom > 5) zoom = 5;
 
     currentZoom = zoom;
-    canvas.setZoom(zoom);
+    applyView();
+}
+
+// The part of the document that is shown and exported: the crop, or the whole
+// document while there is no crop or it is being edited
+function getViewRect() {
+    if (cropRect && !cropEditing) return cropRect;
+    return { left: 0, top: 0, width: originalWidth, height: originalHeight };
+}
+
+// Size the canvas to the view and scroll the document so the view starts at its corner
+function applyView() {
+    const view = getViewRect();
+    canvas.setViewportTransform([currentZoom, 0, 0, currentZoom, -view.left * currentZoom, -view.top * currentZoom]);
     canvas.setDimensions({
-        width: originalWidth * currentZoom,
-        height: originalHeight * currentZoom
+        width: view.width * currentZoom,
+        height: view.height * currentZoom
     });
     canvas.renderAll();
 }
 
 // State
 let currentTool = 'select';
-let currentColor = '#ff0000';
-let currentWidth = 3;
+let currentColor = settings.color;
+let currentWidth = settings.strokeWidth;
+let currentArrowHead = 'filled';
+let currentRedactMode = 'pixelate';
+let currentRedactStrength = settings.redactStrength;
+let currentLensShape = 'circle';
+let currentLensZoom = 2.5;
+let currentSpotShape = 'rect';
+let currentSpotMode = 'dim';
+let currentDimOpacity = 0.6;
+let currentImageShadow = true;
+const LINE_TOOLS = ['arrow', 'line'];
+const BOX_TOOLS = ['rectangle', 'rounded-rect', 'filled-box', 'ellipse', 'crop', 'mosaic', 'magnifier', 'spotlight'];
+const ROUNDED_RECT_RADIUS = 12;
+const FILLED_BOX_FILL = 'rgba(0, 0, 0, 0.35)'; // Only the alpha is used, the color follows the picker
+const STEP_MARKER_RADIUS = 10; // Grows with the width slider
+const CALLOUT_OFFSET = 40; // Where a new callout's box sits relative to the spot it points at
 let isDrawing = false;
 let startX = 0;
 let startY = 0;
 let activeShape = null;
 let isModified = false;
 let currentZoom = 1;
+let cropRect = null; // { left, top, width, height } in document coordinates, null when uncropped
+let cropEditing = false;
 let originalWidth = window.innerWidth;
 let originalHeight = window.innerHeight - 50;
 
@@ -506,6 +1823,10 @@ let originalHeight = window.innerHeight - 50;
 const toolBtns = document.querySelectorAll('.tool-btn');
 const colorPicker = document.getElementById('color-picker');
 const widthSlider = document.getElementById('width-slider');
+const captureModeSelect = document.getElementById('capture-mode');
+const captureDelayInput = document.getElementById('capture-delay');
+colorPicker.value = currentColor;
+widthSlider.value = currentWidth;
 
 // Tool Selection
 toolBtns.forEach(btn => {
@@ -518,20 +1839,16 @@ toolBtns.forEach(btn => {
     });
 });
 
+// The toolbar color and width are the defaults for new shapes and also restyle the selection
 colorPicker.addEventListener('input', (e) => {
     currentColor = e.target.value;
     if (canvas.freeDrawingBrush) {
         canvas.freeDrawingBrush.color = currentColor;
     }
-    const activeObj = canvas.getActiveObject();
-    if (activeObj) {
-        if (activeObj.type === 'i-text' || activeObj.type === 'path') {
-            activeObj.set({ fill: currentColor, stroke: currentColor });
-        } else {
-            activeObj.set({ stroke: currentColor });
-        }
-        canvas.requestRenderAll();
-    }
+    applyToSelection(obj => setObjectColor(obj, currentColor), false);
+});
+colorPicker.addEventListener('change', () => {
+    applyToSelection(obj => setObjectColor(obj, currentColor), true);
 });
 
 widthSlider.addEventListener('input', (e) => {
@@ -539,6 +1856,10 @@ widthSlider.addEventListener('input', (e) => {
     if (canvas.freeDrawingBrush) {
         canvas.freeDrawingBrush.width = currentWidth;
     }
+    applyToSelection(obj => setObjectStrokeWidth(obj, currentWidth), false);
+});
+widthSlider.addEventListener('change', () => {
+    applyToSelection(obj => setObjectStrokeWidth(obj, currentWidth), true);
 });
 
 function setTool(tool) {
@@ -548,10 +1869,10 @@ function setTool(tool) {
     canvas.defaultCursor = 'default';
     canvas.hoverCursor = 'move';
 
-    // Make all objects selectable
+    // Make all objects selectable, except the ones locked in the layers panel
     canvas.forEachObject(function (obj) {
-        obj.selectable = true;
-        obj.evented = true;
+        obj.selectable = !isLocked(obj);
+        obj.evented = !isLocked(obj);
     });
 
     if (tool === 'select') {
@@ -569,7 +1890,7 @@ function setTool(tool) {
             canvas.freeDrawingBrush.color = `rgba(${r},${g},${b},0.3)`;
             canvas.freeDrawingBrush.width = currentWidth * 3;
         }
-    } else if (tool === 'arrow' || tool === 'rectangle' || tool === 'text' || tool === 'crop' || tool === 'mosaic') {
+    } else if (LINE_TOOLS.includes(tool) || BOX_TOOLS.includes(tool) || ['text', 'callout', 'step'].includes(tool)) {
         canvas.selection = false;
         canvas.defaultCursor = 'crosshair';
         canvas.hoverCursor = 'crosshair';
@@ -579,6 +1900,13 @@ function setTool(tool) {
             obj.evented = false;
         });
     }
+
+    if (tool === 'crop') {
+        startCropEditing();
+    } else if (cropEditing) {
+        // Leaving the crop tool discards a frame that wasn't applied
+        finishCropEditing();
+    }
 }
 
 function switchToSelect() {
@@ -602,6 +1930,11 @@ if (upperCanvas) {
 
 function handleMouseDown(e) {
     if (currentTool === 'select' || currentTool === 'marker' || currentTool === 'highlighter') return;
+    // The crop frame is moved and resized by Fabric, dragging elsewhere draws a new one
+    if (currentTool === 'crop') {
+        if (isOnCropFrame(e)) return;
+        removeCropFrame();
+    }
 
     canvas.calcOffset();
     const pointer = canvas.getScenePoint(e);
@@ -611,15 +1944,17 @@ function handleMouseDown(e) {
 
     log('Mouse down at ' + startX.toFixed(0) + ', ' + startY.toFixed(0) + ' with tool: ' + currentTool);
 
-    if (currentTool === 'arrow') {
-        activeShape = new fabric.Line([startX, startY, startX, startY], {
+    if (LINE_TOOLS.includes(currentTool)) {
+        // A plain line is an arrow without a head, so it gets the same endpoint handles
+        activeShape = new Arrow([startX, startY, startX, startY], {
             strokeWidth: currentWidth,
             stroke: currentColor,
+            headStyle: currentTool === 'line' ? 'none' : currentArrowHead,
             selectable: false,
             evented: false
         });
         canvas.add(activeShape);
-    } else if (currentTool === 'rectangle') {
+    } else if (currentTool === 'rectangle' || currentTool === 'rounded-rect' || currentTool === 'filled-box') {
         activeShape = new fabric.Rect({
             left: startX,
             top: startY,
@@ -627,6 +1962,23 @@ function handleMouseDown(e) {
             originY: 'top',
             width: 0,
             height: 0,
+            rx: currentTool === 'rounded-rect' ? ROUNDED_RECT_RADIUS : 0,
+            ry: currentTool === 'rounded-rect' ? ROUNDED_RECT_RADIUS : 0,
+            stroke: currentColor,
+            strokeWidth: currentWidth,
+            fill: currentTool === 'filled-box' ? withAlphaOf(currentColor, FILLED_BOX_FILL) : 'transparent',
+            selectable: false,
+            evented: false
+        });
+        canvas.add(activeShape);
+    } else if (currentTool === 'ellipse') {
+        activeShape = new fabric.Ellipse({
+            left: startX,
+            top: startY,
+            originX: 'left',
+            originY: 'top',
+            rx: 0,
+            ry: 0,
             stroke: currentColor,
             strokeWidth: currentWidth,
             fill: 'transparent',
@@ -634,8 +1986,8 @@ function handleMouseDown(e) {
             evented: false
         });
         canvas.add(activeShape);
-    } else if (currentTool === 'crop' || currentTool === 'mosaic') {
-        // Create dashed selection rectangle for crop/mosaic
+    } else if (['crop', 'mosaic', 'magnifier', 'spotlight'].includes(currentTool)) {
+        // Create dashed selection rectangle for crop/mosaic/magnifier/spotlight
         activeShape = new fabric.Rect({
             left: startX,
             top: startY,
@@ -656,9 +2008,9 @@ function handleMouseDown(e) {
         const text = new fabric.IText('Type here', {
             left: startX,
             top: startY,
-            fontFamily: 'Arial',
+            fontFamily: settings.fontFamily,
             fill: currentColor,
-            fontSize: 20,
+            fontSize: settings.fontSize,
             selectable: true,
             evented: true
         });
@@ -669,20 +2021,69 @@ function handleMouseDown(e) {
         isDrawing = false;
         // Switch back to select mode after placing text
         switchToSelect();
+    } else if (currentTool === 'callout') {
+        // The click marks the spot the tail points at, the box goes above and to the right
+        const callout = new Callout('Type here', {
+            left: startX + CALLOUT_OFFSET,
+            top: Math.max(startY - CALLOUT_OFFSET * 2, CALLOUT_OFFSET / 2),
+            originX: 'left',
+            originY: 'top',
+            fontFamily: settings.fontFamily,
+            fill: currentColor,
+            fontSize: settings.fontSize,
+            tailX: startX,
+            tailY: startY
+        });
+        canvas.add(callout);
+        canvas.setActiveObject(callout);
+        callout.enterEditing();
+        callout.selectAll();
+        isDrawing = false;
+        switchToSelect();
+    } else if (currentTool === 'step') {
+        // The new marker goes on top, so it gets the next number. The tool stays
+        // active to place the following steps.
+        const marker = new StepMarker({
+            left: startX,
+            top: startY,
+            radius: STEP_MARKER_RADIUS + currentWidth * 2,
+            fill: currentColor,
+            stepNumber: getStepMarkers().length + 1,
+            selectable: false,
+            evented: false
+        });
+        canvas.add(marker);
+        isDrawing = false;
     }
     canvas.renderAll();
 }
 
+// Shift-drag: 45° steps for lines, squares and circles for boxes
+function constrainPointer(pointer, shiftKey) {
+    if (!shiftKey) return pointer;
+
+    const dx = pointer.x - startX;
+    const dy = pointer.y - startY;
+    if (LINE_TOOLS.includes(currentTool)) {
+        const step = Math.PI / 4;
+        const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+        const length = Math.hypot(dx, dy);
+        return { x: startX + Math.cos(angle) * length, y: startY + Math.sin(angle) * length };
+    }
+    const size = Math.max(Math.abs(dx), Math.abs(dy));
+    return { x: startX + Math.sign(dx || 1) * size, y: startY + Math.sign(dy || 1) * size };
+}
+
 function handleMouseMove(e) {
     if (!isDrawing || !activeShape) return;
 
-    const pointer = canvas.getScenePoint(e);
+    const pointer = constrainPointer(canvas.getScenePoint(e), e.shiftKey);
     const currentX = pointer.x;
     const currentY = pointer.y;
 
-    if (currentTool === 'arrow') {
+    if (LINE_TOOLS.includes(currentTool)) {
         activeShape.set({ x2: currentX, y2: currentY });
-    } else if (currentTool === 'rectangle' || currentTool === 'crop' || currentTool === 'mosaic') {
+    } else if (BOX_TOOLS.includes(currentTool)) {
         let left = startX;
         let top = startY;
         let width = currentX - startX;
@@ -697,12 +2098,16 @@ function handleMouseMove(e) {
             height = Math.abs(height);
         }
 
-        activeShape.set({
-            left: left,
-            top: top,
-            width: width,
-            height: height
-        });
+        if (currentTool === 'ellipse') {
+            activeShape.set({ left: left, top: top, rx: width / 2, ry: height / 2 });
+        } else {
+            activeShape.set({
+                left: left,
+                top: top,
+                width: width,
+                height: height
+            });
+        }
         activeShape.setCoords(); // Update bounding box for proper display
     }
     canvas.renderAll();
@@ -715,318 +2120,1800 @@ function handleMouseUp(e) {
     if (activeShape) {
         log('Shape completed');
 
-        if (currentTool === 'arrow') {
-            // Add arrow head
-            const headLength = 15;
-            const x1 = activeShape.x1;
-            const y1 = activeShape.y1;
-            const x2 = activeShape.x2;
-            const y2 = activeShape.y2;
-            const angle = Math.atan2(y2 - y1, x2 - x1);
-
-            const triangle = new fabric.Triangle({
-                left: x2,
-                top: y2,
-                originX: 'center',
-                originY: 'center',
-                angle: (angle * 180 / Math.PI) + 90,
-                width: headLength,
-                height: headLength,
-                fill: currentColor,
-                selectable: false,
-                evented: false
-            });
-
+        if (LINE_TOOLS.includes(currentTool) && activeShape.width < 3 && activeShape.height < 3) {
+            // A click without a drag
             canvas.remove(activeShape);
-            const group = new fabric.Group([activeShape, triangle], {
-                selectable: true,
-                evented: true
-            });
-            canvas.add(group);
         } else if (currentTool === 'crop') {
-            // Execute crop
-            executeCrop(activeShape);
             canvas.remove(activeShape);
+            if (activeShape.width >= MIN_CROP_SIZE && activeShape.height >= MIN_CROP_SIZE) {
+                showCropFrame(activeShape);
+            }
         } else if (currentTool === 'mosaic') {
             // Execute mosaic
             executeMosaic(activeShape);
             canvas.remove(activeShape);
+        } else if (currentTool === 'magnifier') {
+            addMagnifier(activeShape);
+            canvas.remove(activeShape);
+        } else if (currentTool === 'spotlight') {
+            addSpotlight(activeShape);
+            canvas.remove(activeShape);
         } else {
             activeShape.set({ selectable: true, evented: true });
             activeShape.setCoords();
         }
         activeShape = null;
 
-        // Switch to select mode after drawing
-        switchToSelect();
+        // Switch to select mode after drawing. Crop stays until the frame is applied.
+        if (currentTool !== 'crop') {
+            switchToSelect();
+        }
     }
     canvas.renderAll();
 }
 
 // =========== CROP AND MOSAIC FUNCTIONS ===========
-async function executeCrop(selectionRect) {
-    const cropLeft = Math.max(0, selectionRect.left);
-    const cropTop = Math.max(0, selectionRect.top);
-    const cropWidth = Math.min(selectionRect.width, canvas.width - cropLeft);
-    const cropHeight = Math.min(selectionRect.height, canvas.height - cropTop);
-
-    if (cropWidth < 10 || cropHeight < 10) {
-        log('Crop area too small');
+// Crop is a view on the document rather than an edit of it: cropRect decides
+// what is shown and exported, the background and annotations are kept whole.
+// While the crop tool is active the whole document is shown with a frame that
+// can be dragged and resized, Apply turns the frame into the new crop.
+const CROP_ASPECT_RATIOS = { free: null, '1:1': 1, '16:9': 16 / 9, '4:3': 4 / 3 };
+const CROP_DIM_COLOR = 'rgba(0, 0, 0, 0.5)';
+const MIN_CROP_SIZE = 10;
+
+const cropBar = document.getElementById('crop-bar');
+const cropAspectSelect = document.getElementById('crop-aspect');
+let cropFrame = null;
+
+class CropFrame extends fabric.Rect {
+    static ownDefaults = {
+        fill: 'transparent',
+        stroke: '#007AFF',
+        strokeWidth: 2,
+        strokeDashArray: [5, 5],
+        strokeUniform: true,
+        cornerColor: '#007AFF',
+        transparentCorners: false,
+        lockRotation: true,
+        lockScalingFlip: true,
+        excludeFromExport: true, // Never part of a history state or an export
+        objectCaching: false // The dimming covers the whole document
+    };
+
+    static createControls() {
+        const controls = fabric.controlsUtils.createObjectDefaultControls();
+        delete controls.mtr;
+        return { controls: controls };
+    }
+
+    constructor(options = {}) {
+        super({ ...CropFrame.ownDefaults, ...options });
+    }
+
+    // Dim the document outside the frame. Drawn in the frame's own (possibly scaled) coordinates.
+    _render(ctx) {
+        const center = this.getCenterPoint();
+        ctx.save();
+        ctx.fillStyle = CROP_DIM_COLOR;
+        ctx.beginPath();
+        ctx.rect(-center.x / this.scaleX, -center.y / this.scaleY, originalWidth / this.scaleX, originalHeight / this.scaleY);
+        ctx.rect(-this.width / 2, -this.height / 2, this.width, this.height);
+        ctx.fill('evenodd');
+        ctx.restore();
+        super._render(ctx);
+    }
+}
+
+function getCropAspect() {
+    return CROP_ASPECT_RATIOS[cropAspectSelect.value];
+}
+
+// Keep a crop inside the document, then shrink it around its center to the aspect ratio
+function fitCropRect(rect, ratio) {
+    const left = Math.max(0, Math.min(rect.left, originalWidth - MIN_CROP_SIZE));
+    const top = Math.max(0, Math.min(rect.top, originalHeight - MIN_CROP_SIZE));
+    let width = Math.min(rect.width - (left - rect.left), originalWidth - left);
+    let height = Math.min(rect.height - (top - rect.top), originalHeight - top);
+    const centerX = left + width / 2;
+    const centerY = top + height / 2;
+
+    if (ratio) {
+        if (width / height > ratio) {
+            width = height * ratio;
+        } else {
+            height = width / ratio;
+        }
+    }
+    return {
+        left: Math.round(centerX - width / 2),
+        top: Math.round(centerY - height / 2),
+        width: Math.round(width),
+        height: Math.round(height)
+    };
+}
+
+function getCropFrameRect() {
+    return {
+        left: cropFrame.left,
+        top: cropFrame.top,
+        width: cropFrame.width * cropFrame.scaleX,
+        height: cropFrame.height * cropFrame.scaleY
+    };
+}
+
+function setCropFrameRect(rect) {
+    cropFrame.set({ ...rect, scaleX: 1, scaleY: 1 });
+    cropFrame.setCoords();
+    canvas.requestRenderAll();
+}
+
+// Fixed ratios only get the corner handles, which scale both sides together
+function showCropFrame(rect) {
+    const ratio = getCropAspect();
+    cropFrame = new CropFrame({ originX: 'left', originY: 'top' });
+    cropFrame.setControlsVisibility({ ml: !ratio, mr: !ratio, mt: !ratio, mb: !ratio });
+    setCropFrameRect(fitCropRect(rect, ratio));
+    canvas.add(cropFrame);
+    canvas.setActiveObject(cropFrame);
+}
+
+function removeCropFrame() {
+    if (!cropFrame) return;
+    canvas.remove(cropFrame);
+    cropFrame = null;
+}
+
+function isOnCropFrame(e) {
+    return !!cropFrame && (cropFrame.containsPoint(canvas.getScenePoint(e)) ||
+        !!cropFrame.findControl(canvas.getViewportPoint(e)));
+}
+
+// Show the whole document with the current crop as an adjustable frame
+function startCropEditing() {
+    if (cropEditing) {
+        if (cropFrame) {
+            cropFrame.set({ selectable: true, evented: true });
+        }
         return;
     }
+    cropEditing = true;
+    cropBar.classList.remove('hidden');
+    applyView();
+    if (cropRect) {
+        showCropFrame(cropRect);
+    }
+}
+
+function finishCropEditing() {
+    cropEditing = false;
+    cropBar.classList.add('hidden');
+    removeCropFrame();
+    applyView();
+}
 
-    log('Executing crop: ' + cropWidth + 'x' + cropHeight + ' at ' + cropLeft + ',' + cropTop);
+// Crop to the frame (or remove the crop) as one undo step
+function commitCrop(rect) {
+    const isWholeDocument = rect && rect.left === 0 && rect.top === 0 &&
+        rect.width === originalWidth && rect.height === originalHeight;
+    cropRect = isWholeDocument ? null : rect;
+    log(cropRect ? 'Cropped to ' + rect.width + 'x' + rect.height + ' at ' + rect.left + ',' + rect.top : 'Crop removed');
 
-    historyLock = true;
+    switchToSelect();
+    debouncedHistorySave();
+}
+
+function applyCrop() {
+    if (!cropFrame) return;
+    commitCrop(fitCropRect(getCropFrameRect(), getCropAspect()));
+}
+
+function resetCrop() {
+    commitCrop(null);
+}
+
+cropAspectSelect.addEventListener('change', () => {
+    if (!cropFrame) return;
+    const ratio = getCropAspect();
+    cropFrame.setControlsVisibility({ ml: !ratio, mr: !ratio, mt: !ratio, mb: !ratio });
+    setCropFrameRect(fitCropRect(getCropFrameRect(), ratio));
+});
+
+// Bake resizing into the frame, keeping it on the document and at its ratio
+canvas.on('object:modified', (e) => {
+    if (cropFrame && e.target === cropFrame) {
+        setCropFrameRect(fitCropRect(getCropFrameRect(), getCropAspect()));
+    }
+});
+
+document.getElementById('crop-apply').addEventListener('click', applyCrop);
+document.getElementById('crop-reset').addEventListener('click', resetCrop);
+document.getElementById('crop-cancel').addEventListener('click', switchToSelect);
+
+// Cover the selected area with a redaction box in the mode and strength picked last
+function executeMosaic(selectionRect) {
+    const left = Math.max(0, Math.round(selectionRect.left));
+    const top = Math.max(0, Math.round(selectionRect.top));
+    const width = Math.min(Math.round(selectionRect.width), originalWidth - left);
+    const height = Math.min(Math.round(selectionRect.height), originalHeight - top);
+
+    if (width < 10 || height < 10) {
+        log('Redaction area too small');
+        return;
+    }
+
+    log('Adding ' + currentRedactMode + ' redaction: ' + width + 'x' + height + ' at ' + left + ',' + top);
+
+    const redaction = new Redaction({
+        left: left,
+        top: top,
+        originX: 'left',
+        originY: 'top',
+        width: width,
+        height: height,
+        redactMode: currentRedactMode,
+        strength: currentRedactStrength
+    });
+    canvas.add(redaction);
+    canvas.renderAll();
+}
+// =========== END CROP AND MOSAIC ===========
+
+// =========== MAGNIFIER ===========
+const MAX_LENS_SIZE = 320;
+const MAGNIFIER_GAP = 40; // Space between the source region and its lens
+
+// Magnify the selected area into a lens placed beside it, inside the view
+function addMagnifier(selectionRect) {
+    const width = Math.round(selectionRect.width);
+    const height = Math.round(selectionRect.height);
+    if (width < 10 || height < 10) {
+        log('Magnifier area too small');
+        return;
+    }
+
+    // Circular lenses magnify a square around the center of the selection
+    const sourceWidth = currentLensShape === 'circle' ? Math.max(width, height) : width;
+    const sourceHeight = currentLensShape === 'circle' ? sourceWidth : height;
+    const zoom = Math.max(1, Math.min(currentLensZoom, MAX_LENS_SIZE / Math.max(sourceWidth, sourceHeight)));
+    const lensWidth = sourceWidth * zoom;
+    const lensHeight = sourceHeight * zoom;
+    const sourceX = selectionRect.left + width / 2;
+    const sourceY = selectionRect.top + height / 2;
+
+    // Right of the source if it fits, otherwise left, kept inside the view
+    const view = getViewRect();
+    let left = sourceX + sourceWidth / 2 + MAGNIFIER_GAP;
+    if (left + lensWidth > view.left + view.width) {
+        left = sourceX - sourceWidth / 2 - MAGNIFIER_GAP - lensWidth;
+    }
+    left = Math.min(Math.max(left, view.left), view.left + view.width - lensWidth);
+    const top = Math.min(Math.max(sourceY - lensHeight / 2, view.top), view.top + view.height - lensHeight);
+
+    log('Adding magnifier: ' + sourceWidth + 'x' + sourceHeight + ' at ' + zoom.toFixed(1) + 'x');
+
+    const magnifier = new Magnifier({
+        left: left,
+        top: top,
+        originX: 'left',
+        originY: 'top',
+        width: lensWidth,
+        height: lensHeight,
+        sourceX: sourceX,
+        sourceY: sourceY,
+        zoom: zoom,
+        lensShape: currentLensShape,
+        stroke: currentColor,
+        strokeWidth: currentWidth
+    });
+    canvas.add(magnifier);
+    canvas.setActiveObject(magnifier);
+    canvas.renderAll();
+}
+// =========== END MAGNIFIER ===========
+
+// =========== SPOTLIGHT ===========
+function getSpotlights() {
+    return canvas.getObjects().filter(obj => obj instanceof Spotlight);
+}
+
+// Leave the selected area clear and dim the rest. New spotlights go to the bottom
+// of the stack so the annotations made so far aren't dimmed, and join the effect
+// of the spotlights already there.
+function addSpotlight(selectionRect) {
+    const width = Math.round(selectionRect.width);
+    const height = Math.round(selectionRect.height);
+    if (width < 10 || height < 10) {
+        log('Spotlight area too small');
+        return;
+    }
+
+    const existing = getSpotlights()[0];
+    const spotlight = new Spotlight({
+        left: Math.round(selectionRect.left),
+        top: Math.round(selectionRect.top),
+        originX: 'left',
+        originY: 'top',
+        width: width,
+        height: height,
+        spotShape: currentSpotShape,
+        spotMode: existing ? existing.spotMode : currentSpotMode,
+        dimOpacity: existing ? existing.dimOpacity : currentDimOpacity
+    });
+    log('Adding spotlight: ' + width + 'x' + height);
+    canvas.insertAt(0, spotlight);
+    canvas.setActiveObject(spotlight);
+    canvas.renderAll();
+}
+// =========== END SPOTLIGHT ===========
+
+// =========== DOCUMENT OPERATIONS ===========
+// Padding, resizing, rotating and flipping act on the whole document: the
+// background is redrawn through a transform matrix, every object and the crop
+// are moved by the same matrix, and the result is one undo step.
+const documentDialog = document.getElementById('document-dialog');
+
+function transformRect(rect, matrix) {
+    const corners = [
+        new fabric.Point(rect.left, rect.top),
+        new fabric.Point(rect.left + rect.width, rect.top + rect.height)
+    ].map(point => point.transform(matrix));
+    return fabric.util.makeBoundingBoxFromPoints(corners);
+}
+
+function transformObject(obj, matrix) {
+    if (obj instanceof Arrow) {
+        const [start, end] = obj.getEndpoints();
+        obj.setEndpoints(start.transform(matrix), end.transform(matrix));
+    } else if (obj instanceof Redaction) {
+        // Redactions stay axis-aligned boxes
+        const { x, y, width, height } = obj.getRegion();
+        const region = transformRect({ left: x, top: y, width: width, height: height }, matrix);
+        obj.set({ width: region.width / obj.scaleX, height: region.height / obj.scaleY });
+        obj.setPositionByOrigin(new fabric.Point(region.left + region.width / 2, region.top + region.height / 2), 'center', 'center');
+    } else if (obj instanceof Magnifier) {
+        // Lenses stay upright, their source moves with the document
+        const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+        const center = obj.getCenterPoint().transform(matrix);
+        const source = new fabric.Point(obj.sourceX, obj.sourceY).transform(matrix);
+        obj.set({ width: obj.width * scale, height: obj.height * scale, sourceX: source.x, sourceY: source.y });
+        obj.setPositionByOrigin(center, 'center', 'center');
+    } else if (isTextObject(obj) || obj instanceof StepMarker) {
+        // Text and step markers stay upright and unmirrored, they only move (and scale with a resize)
+        const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+        const center = obj.getCenterPoint().transform(matrix);
+        obj.set({ scaleX: obj.scaleX * scale, scaleY: obj.scaleY * scale });
+        obj.setPositionByOrigin(center, 'center', 'center');
+        if (obj instanceof Callout) {
+            const tail = new fabric.Point(obj.tailX, obj.tailY).transform(matrix);
+            obj.set({ tailX: tail.x, tailY: tail.y });
+        }
+    } else {
+        fabric.util.addTransformToObject(obj, matrix);
+    }
+    obj.setCoords();
+}
+
+// Map the document through a matrix onto a new width x height document.
+// fillColor paints the area the old background doesn't cover (padding).
+function transformDocument(matrix, width, height, fillColor) {
+    if (historyLock) {
+        log('Document operation blocked: history lock active');
+        return;
+    }
+    if (cropEditing) {
+        switchToSelect();
+    }
+    canvas.discardActiveObject();
+
+    const bg = canvas.backgroundImage;
+    if (bg || fillColor) {
+        const el = document.createElement('canvas');
+        el.width = width;
+        el.height = height;
+        const ctx = el.getContext('2d');
+        if (fillColor) {
+            ctx.fillStyle = fillColor;
+            ctx.fillRect(0, 0, width, height);
+        }
+        if (bg) {
+            ctx.imageSmoothingQuality = 'high';
+            ctx.transform(...matrix);
+            ctx.drawImage(bg.getElement(), bg.left, bg.top, bg.width * bg.scaleX, bg.height * bg.scaleY);
+        }
+        canvas.backgroundImage = new fabric.FabricImage(el, {
+            left: 0,
+            top: 0,
+            originX: 'left',
+            originY: 'top'
+        });
+    }
+
+    canvas.getObjects().forEach(obj => transformObject(obj, matrix));
+    if (cropRect) {
+        const crop = transformRect(cropRect, matrix);
+        cropRect = {
+            left: Math.round(crop.left),
+            top: Math.round(crop.top),
+            width: Math.round(crop.width),
+            height: Math.round(crop.height)
+        };
+    }
+
+    originalWidth = width;
+    originalHeight = height;
+    applyView();
+
+    if (historyTimeout) clearTimeout(historyTimeout);
+    saveHistory();
+    log('Document transformed to ' + width + 'x' + height);
+}
+
+// Clockwise by 90, 180 or 270 degrees
+function rotateDocument(degrees) {
+    const w = originalWidth;
+    const h = originalHeight;
+    if (degrees === 90) {
+        transformDocument([0, 1, -1, 0, h, 0], h, w);
+    } else if (degrees === 180) {
+        transformDocument([-1, 0, 0, -1, w, h], w, h);
+    } else if (degrees === 270) {
+        transformDocument([0, -1, 1, 0, 0, w], h, w);
+    }
+}
+
+function flipDocument(horizontal) {
+    if (horizontal) {
+        transformDocument([-1, 0, 0, 1, originalWidth, 0], originalWidth, originalHeight);
+    } else {
+        transformDocument([1, 0, 0, -1, 0, originalHeight], originalWidth, originalHeight);
+    }
+}
+
+// Grow the canvas around the image, filling the new area with a color
+function padDocument(padding, color) {
+    transformDocument([1, 0, 0, 1, padding.left, padding.top],
+        originalWidth + padding.left + padding.right,
+        originalHeight + padding.top + padding.bottom,
+        color);
+}
+
+// Resample the image (and scale the annotations) to a new size
+function resizeDocument(width, height) {
+    transformDocument([width / originalWidth, 0, 0, height / originalHeight, 0, 0], width, height);
+}
+
+// Dialog
+const paddingInputs = ['top', 'right', 'bottom', 'left'].map(side => document.getElementById('pad-' + side));
+const resizeWidthInput = document.getElementById('resize-width');
+const resizeHeightInput = document.getElementById('resize-height');
+const resizeKeepRatio = document.getElementById('resize-keep-ratio');
+
+// Larger canvases can't be allocated, or take most of the memory there is
+const MAX_DOCUMENT_SIDE = 16384;
+
+// A size field's value in pixels, or null when it isn't a whole number from min to MAX_DOCUMENT_SIDE
+function readSize(input, min = 0) {
+    const value = Number(input.value);
+    return Number.isInteger(value) && value >= min && value <= MAX_DOCUMENT_SIDE ? value : null;
+}
+
+function showSizeError() {
+    skitch.showErrorDialog({
+        message: 'Enter a whole number of pixels.',
+        detail: `The document can be at most ${MAX_DOCUMENT_SIDE} pixels wide and high.`
+    });
+}
+
+function showDocumentDialog() {
+    resizeWidthInput.value = originalWidth;
+    resizeHeightInput.value = originalHeight;
+    documentDialog.classList.remove('hidden');
+}
+
+function closeDocumentDialog() {
+    documentDialog.classList.add('hidden');
+}
+
+resizeWidthInput.addEventListener('input', () => {
+    if (resizeKeepRatio.checked) {
+        resizeHeightInput.value = Math.round((readSize(resizeWidthInput) || 0) * originalHeight / originalWidth);
+    }
+});
+resizeHeightInput.addEventListener('input', () => {
+    if (resizeKeepRatio.checked) {
+        resizeWidthInput.value = Math.round((readSize(resizeHeightInput) || 0) * originalWidth / originalHeight);
+    }
+});
+
+document.getElementById('pad-apply').addEventListener('click', () => {
+    const [top, right, bottom, left] = paddingInputs.map(input => readSize(input));
+    if ([top, right, bottom, left].includes(null) || originalWidth + left + right > MAX_DOCUMENT_SIDE ||
+        originalHeight + top + bottom > MAX_DOCUMENT_SIDE) {
+        showSizeError();
+        return;
+    }
+    closeDocumentDialog();
+    if (top + right + bottom + left === 0) return;
+    padDocument({ top, right, bottom, left }, document.getElementById('pad-color').value);
+});
+document.getElementById('resize-apply').addEventListener('click', () => {
+    const width = readSize(resizeWidthInput, 1);
+    const height = readSize(resizeHeightInput, 1);
+    if (width === null || height === null) {
+        showSizeError();
+        return;
+    }
+    closeDocumentDialog();
+    if (width === originalWidth && height === originalHeight) return;
+    resizeDocument(width, height);
+});
+documentDialog.querySelectorAll('[data-rotate]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        closeDocumentDialog();
+        rotateDocument(parseInt(btn.dataset.rotate, 10));
+    });
+});
+documentDialog.querySelectorAll('[data-flip]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        closeDocumentDialog();
+        flipDocument(btn.dataset.flip === 'horizontal');
+    });
+});
+document.getElementById('document-close').addEventListener('click', closeDocumentDialog);
+// =========== END DOCUMENT OPERATIONS ===========
+
+// =========== PROPERTIES PANEL ===========
+const TEXT_TYPES = ['i-text', 'text', 'textbox', 'callout'];
+const FILLABLE_TYPES = ['rect', 'ellipse'];
+const IMAGE_SHADOW = { color: 'rgba(0, 0, 0, 0.45)', blur: 12, offsetX: 3, offsetY: 4 };
+const DASH_PATTERNS = {
+    solid: () => null,
+    dashed: (width) => [width * 3, width * 2],
+    dotted: (width) => [0, width * 2] // Zero-length dashes with round caps draw dots
+};
 
+const propertiesPanel = document.getElementById('properties-panel');
+const propColor = document.getElementById('prop-color');
+const propWidth = document.getElementById('prop-width');
+const propDash = document.getElementById('prop-dash');
+const propFillEnabled = document.getElementById('prop-fill-enabled');
+const propFill = document.getElementById('prop-fill');
+const propFillOpacity = document.getElementById('prop-fill-opacity');
+const propFontFamily = document.getElementById('prop-font-family');
+const propFontSize = document.getElementById('prop-font-size');
+const propBold = document.getElementById('prop-bold');
+const propItalic = document.getElementById('prop-italic');
+const propOpacity = document.getElementById('prop-opacity');
+const propArrowHead = document.getElementById('prop-arrow-head');
+const propCalloutBackground = document.getElementById('prop-callout-background');
+const propCalloutBorder = document.getElementById('prop-callout-border');
+const propImageScale = document.getElementById('prop-image-scale');
+const propImageRotation = document.getElementById('prop-image-rotation');
+const propImageShadow = document.getElementById('prop-image-shadow');
+const propRedactMode = document.getElementById('prop-redact-mode');
+const propRedactStrength = document.getElementById('prop-redact-strength');
+const propLensShape = document.getElementById('prop-lens-shape');
+const propLensZoom = document.getElementById('prop-lens-zoom');
+const propSpotShape = document.getElementById('prop-spot-shape');
+const propSpotMode = document.getElementById('prop-spot-mode');
+const propDimOpacity = document.getElementById('prop-dim-opacity');
+
+function isTextObject(obj) {
+    return TEXT_TYPES.includes(obj.type);
+}
+
+// The pieces of an object that carry its style. Arrows are groups of a line and a head.
+function getStyleParts(obj) {
+    return obj.type === 'group' ? obj.getObjects() : [obj];
+}
+
+// Text, arrow heads, step markers and redactions show their color through fill, everything else through stroke
+function usesFillAsColor(part) {
+    return isTextObject(part) || part.type === 'triangle' || part instanceof StepMarker || part instanceof Redaction;
+}
+
+function isStrokedPart(part) {
+    return !usesFillAsColor(part) && !!part.stroke;
+}
+
+function toHexColor(color) {
+    return '#' + new fabric.Color(color || '#000000').toHex().toLowerCase();
+}
+
+// Swap the color but keep its alpha, so highlighter strokes and translucent fills stay translucent
+function withAlphaOf(color, previous) {
+    const alpha = previous ? new fabric.Color(previous).getAlpha() : 1;
+    return new fabric.Color(color).setAlpha(alpha).toRgba();
+}
+
+function getObjectColor(obj) {
+    const part = getStyleParts(obj)[0];
+    return usesFillAsColor(part) ? part.fill : part.stroke;
+}
+
+function setObjectColor(obj, color) {
+    getStyleParts(obj).forEach(part => {
+        if (usesFillAsColor(part)) {
+            part.set('fill', color);
+        } else if (part.stroke) {
+            part.set('stroke', withAlphaOf(color, part.stroke));
+        }
+    });
+    obj.set('dirty', true);
+}
+
+function setObjectStrokeWidth(obj, width) {
+    getStyleParts(obj).filter(isStrokedPart).forEach(part => {
+        part.set('strokeWidth', width);
+    });
+    // Dash lengths follow the stroke width
+    setObjectDash(obj, (obj.data && obj.data.dashStyle) || 'solid');
+    if (obj.type === 'group') {
+        obj.triggerLayout();
+    }
+}
+
+function setObjectDash(obj, style) {
+    obj.data = { ...obj.data, dashStyle: style };
+    getStyleParts(obj).filter(isStrokedPart).forEach(part => {
+        part.set({
+            strokeDashArray: DASH_PATTERNS[style](part.strokeWidth),
+            strokeLineCap: style === 'dotted' ? 'round' : 'butt'
+        });
+    });
+    obj.set('dirty', true);
+}
+
+function setObjectFill(obj, enabled, color, opacity) {
+    if (!FILLABLE_TYPES.includes(obj.type)) return;
+    obj.set('fill', enabled ? new fabric.Color(color).setAlpha(opacity).toRgba() : 'transparent');
+}
+
+function setArrowHead(obj, headStyle) {
+    if (!(obj instanceof Arrow)) return;
+    obj.set('headStyle', headStyle);
+}
+
+function setCalloutStyle(obj, style) {
+    if (!(obj instanceof Callout)) return;
+    obj.set(style);
+}
+
+// Image layers scale and rotate around their center
+function setImageScale(obj, percent) {
+    if (obj.type !== 'image') return;
+    const center = obj.getCenterPoint();
+    obj.set({ scaleX: percent / 100, scaleY: percent / 100 });
+    obj.setPositionByOrigin(center, 'center', 'center');
+}
+
+function setImageRotation(obj, degrees) {
+    if (obj.type !== 'image') return;
+    obj.rotate(degrees);
+}
+
+function setImageShadow(obj, enabled) {
+    if (obj.type !== 'image') return;
+    obj.set('shadow', enabled ? new fabric.Shadow(IMAGE_SHADOW) : null);
+}
+
+function setRedaction(obj, settings) {
+    if (!(obj instanceof Redaction)) return;
+    obj.set(settings);
+}
+
+function setMagnifier(obj, settings) {
+    if (!(obj instanceof Magnifier)) return;
+    obj.set(settings);
+}
+
+function setSpotShape(obj, spotShape) {
+    if (!(obj instanceof Spotlight)) return;
+    obj.set('spotShape', spotShape);
+}
+
+// The overlay is shared, so its mode and opacity change on every spotlight at once
+function setSpotEffect(obj, effect) {
+    if (!(obj instanceof Spotlight)) return;
+    getSpotlights().forEach(spot => spot.set(effect));
+}
+
+function setObjectFont(obj, font) {
+    if (!isTextObject(obj)) return;
+    obj.set(font);
+}
+
+// Apply a style change to every selected object. Dragging a slider previews the
+// change (record = false), releasing it records one undo step.
+function applyToSelection(apply, record) {
+    const objects = canvas.getActiveObjects();
+    if (objects.length === 0) return;
+
+    objects.forEach(obj => {
+        apply(obj);
+        obj.setCoords();
+    });
+    canvas.requestRenderAll();
+
+    if (record) {
+        debouncedHistorySave();
+        refreshPropertiesPanel();
+    }
+}
+
+function updateRangeLabel(slider) {
+    slider.nextElementSibling.textContent = slider.value;
+}
+
+function showPropertySection(name, visible) {
+    propertiesPanel.querySelector(`.prop-section[data-section="${name}"]`).style.display = visible ? 'block' : 'none';
+}
+
+// Show the panel for the current selection, filled in from the first selected object
+function refreshPropertiesPanel() {
+    const objects = canvas.getActiveObjects().filter(obj => obj !== cropFrame);
+    if (objects.length === 0) {
+        propertiesPanel.classList.add('hidden');
+        return;
+    }
+
+    const first = objects[0];
+    const colored = objects.find(obj => getObjectColor(obj));
+    const stroked = objects.find(obj => getStyleParts(obj).some(isStrokedPart));
+    const fillable = objects.find(obj => FILLABLE_TYPES.includes(obj.type));
+    const text = objects.find(isTextObject);
+    const arrow = objects.find(obj => obj instanceof Arrow);
+    const callout = objects.find(obj => obj instanceof Callout);
+    const redaction = objects.find(obj => obj instanceof Redaction);
+    const image = objects.find(obj => obj.type === 'image');
+    const magnifier = objects.find(obj => obj instanceof Magnifier);
+    const spotlight = objects.find(obj => obj instanceof Spotlight);
+
+    showPropertySection('color', !!colored);
+    showPropertySection('stroke', !!stroked);
+    showPropertySection('fill', !!fillable);
+    showPropertySection('font', !!text);
+    showPropertySection('arrow', !!arrow);
+    showPropertySection('callout', !!callout);
+    showPropertySection('redaction', !!redaction);
+    showPropertySection('image', !!image);
+    showPropertySection('magnifier', !!magnifier);
+    showPropertySection('spotlight', !!spotlight);
+
+    if (colored) {
+        propColor.value = toHexColor(getObjectColor(colored));
+    }
+    if (stroked) {
+        propWidth.value = getStyleParts(stroked).find(isStrokedPart).strokeWidth;
+        propDash.value = (stroked.data && stroked.data.dashStyle) || 'solid';
+    }
+    if (fillable) {
+        const hasFill = fillable.fill && fillable.fill !== 'transparent';
+        propFillEnabled.checked = !!hasFill;
+        propFill.value = toHexColor(hasFill ? fillable.fill : fillable.stroke);
+        propFillOpacity.value = hasFill ? Math.round(new fabric.Color(fillable.fill).getAlpha() * 100) : 100;
+    }
+    if (text) {
+        propFontFamily.value = text.fontFamily;
+        propFontSize.value = text.fontSize;
+        propBold.checked = text.fontWeight === 'bold';
+        propItalic.checked = text.fontStyle === 'italic';
+    }
+    if (arrow) {
+        propArrowHead.value = arrow.headStyle;
+    }
+    if (callout) {
+        propCalloutBackground.value = toHexColor(callout.bubbleColor);
+        propCalloutBorder.checked = callout.bubbleBorder;
+    }
+    if (image) {
+        propImageScale.value = Math.round(image.scaleX * 100);
+        propImageRotation.value = Math.round(image.angle > 180 ? image.angle - 360 : image.angle);
+        propImageShadow.checked = !!image.shadow;
+    }
+    if (redaction) {
+        propRedactMode.value = redaction.redactMode;
+        propRedactStrength.value = redaction.strength;
+    }
+    if (magnifier) {
+        propLensShape.value = magnifier.lensShape;
+        propLensZoom.value = magnifier.zoom;
+    }
+    if (spotlight) {
+        propSpotShape.value = spotlight.spotShape;
+        propSpotMode.value = spotlight.spotMode;
+        propDimOpacity.value = Math.round(spotlight.dimOpacity * 100);
+    }
+    // Redactions are always opaque
+    const translucent = objects.find(obj => !(obj instanceof Redaction));
+    propOpacity.closest('label').style.display = translucent ? '' : 'none';
+    propOpacity.value = Math.round(((translucent || first).opacity ?? 1) * 100);
+
+    updateRangeLabel(propWidth);
+    updateRangeLabel(propFillOpacity);
+    updateRangeLabel(propRedactStrength);
+    updateRangeLabel(propLensZoom);
+    updateRangeLabel(propDimOpacity);
+    updateRangeLabel(propImageScale);
+    updateRangeLabel(propImageRotation);
+    updateRangeLabel(propOpacity);
+    propertiesPanel.classList.remove('hidden');
+}
+
+// 'input' previews, 'change' commits with an undo step
+function bindProperty(input, apply) {
+    input.addEventListener('input', () => {
+        if (input.type === 'range') updateRangeLabel(input);
+        applyToSelection(apply, false);
+    });
+    input.addEventListener('change', () => applyToSelection(apply, true));
+}
+
+bindProperty(propColor, obj => setObjectColor(obj, propColor.value));
+bindProperty(propWidth, obj => setObjectStrokeWidth(obj, parseInt(propWidth.value, 10)));
+bindProperty(propDash, obj => setObjectDash(obj, propDash.value));
+bindProperty(propFillEnabled, obj => setObjectFill(obj, propFillEnabled.checked, propFill.value, propFillOpacity.value / 100));
+bindProperty(propFill, obj => setObjectFill(obj, true, propFill.value, propFillOpacity.value / 100));
+bindProperty(propFillOpacity, obj => setObjectFill(obj, true, propFill.value, propFillOpacity.value / 100));
+bindProperty(propFontFamily, obj => setObjectFont(obj, { fontFamily: propFontFamily.value }));
+bindProperty(propFontSize, obj => {
+    const size = parseInt(propFontSize.value, 10);
+    if (size > 0) setObjectFont(obj, { fontSize: size });
+});
+bindProperty(propBold, obj => setObjectFont(obj, { fontWeight: propBold.checked ? 'bold' : 'normal' }));
+bindProperty(propItalic, obj => setObjectFont(obj, { fontStyle: propItalic.checked ? 'italic' : 'normal' }));
+bindProperty(propOpacity, obj => {
+    if (!(obj instanceof Redaction)) obj.set('opacity', propOpacity.value / 100);
+});
+bindProperty(propArrowHead, obj => setArrowHead(obj, propArrowHead.value));
+bindProperty(propCalloutBackground, obj => setCalloutStyle(obj, { bubbleColor: propCalloutBackground.value }));
+bindProperty(propCalloutBorder, obj => setCalloutStyle(obj, { bubbleBorder: propCalloutBorder.checked }));
+bindProperty(propImageScale, obj => setImageScale(obj, parseInt(propImageScale.value, 10)));
+bindProperty(propImageRotation, obj => setImageRotation(obj, parseInt(propImageRotation.value, 10)));
+bindProperty(propImageShadow, obj => setImageShadow(obj, propImageShadow.checked));
+bindProperty(propRedactMode, obj => setRedaction(obj, { redactMode: propRedactMode.value }));
+bindProperty(propRedactStrength, obj => setRedaction(obj, { strength: parseInt(propRedactStrength.value, 10) }));
+bindProperty(propLensShape, obj => setMagnifier(obj, { lensShape: propLensShape.value }));
+bindProperty(propLensZoom, obj => setMagnifier(obj, { zoom: parseFloat(propLensZoom.value) }));
+bindProperty(propSpotShape, obj => setSpotShape(obj, propSpotShape.value));
+bindProperty(propSpotMode, obj => setSpotEffect(obj, { spotMode: propSpotMode.value }));
+bindProperty(propDimOpacity, obj => setSpotEffect(obj, { dimOpacity: propDimOpacity.value / 100 }));
+// New arrows use the head style picked last, new redactions the mode and strength,
+// new image layers the shadow setting, new magnifiers the lens shape and zoom,
+// new spotlights the shape and effect
+propArrowHead.addEventListener('change', () => {
+    currentArrowHead = propArrowHead.value;
+});
+propImageShadow.addEventListener('change', () => {
+    currentImageShadow = propImageShadow.checked;
+});
+propRedactMode.addEventListener('change', () => {
+    currentRedactMode = propRedactMode.value;
+});
+propRedactStrength.addEventListener('change', () => {
+    currentRedactStrength = parseInt(propRedactStrength.value, 10);
+});
+propLensShape.addEventListener('change', () => {
+    currentLensShape = propLensShape.value;
+});
+propLensZoom.addEventListener('change', () => {
+    currentLensZoom = parseFloat(propLensZoom.value);
+});
+propSpotShape.addEventListener('change', () => {
+    currentSpotShape = propSpotShape.value;
+});
+propSpotMode.addEventListener('change', () => {
+    currentSpotMode = propSpotMode.value;
+});
+propDimOpacity.addEventListener('change', () => {
+    currentDimOpacity = propDimOpacity.value / 100;
+});
+
+// Move the selection one step up or down the stack (which also renumbers step markers)
+function reorderSelection(direction) {
+    const objects = canvas.getActiveObjects();
+    if (objects.length === 0) return;
+
+    // Move the object nearest the destination first so the selection doesn't leapfrog itself
+    const stack = canvas.getObjects();
+    const ordered = objects.slice().sort((a, b) => stack.indexOf(a) - stack.indexOf(b));
+    if (direction > 0) ordered.reverse();
+    ordered.forEach(obj => {
+        if (direction > 0) {
+            canvas.bringObjectForward(obj);
+        } else {
+            canvas.sendObjectBackwards(obj);
+        }
+    });
+
+    renumberStepMarkers();
+    refreshLayersPanel();
+    debouncedHistorySave();
+}
+
+document.getElementById('prop-bring-forward').addEventListener('click', () => reorderSelection(1));
+document.getElementById('prop-send-backward').addEventListener('click', () => reorderSelection(-1));
+
+canvas.on('selection:created', refreshPropertiesPanel);
+canvas.on('selection:updated', refreshPropertiesPanel);
+canvas.on('selection:cleared', refreshPropertiesPanel);
+// Keep the scale and rotation readouts in step with dragging the handles
+canvas.on('object:modified', refreshPropertiesPanel);
+// =========== END PROPERTIES PANEL ===========
+
+// =========== LAYERS PANEL ===========
+// Lists the objects top of the stack first. The list is rebuilt from the canvas
+// whenever objects, the selection or the history change; names and locks are
+// kept in obj.data so they are saved with the history and in projects.
+const LAYER_LABELS = {
+    arrow: 'Arrow',
+    line: 'Line',
+    rect: 'Rectangle',
+    ellipse: 'Ellipse',
+    'i-text': 'Text',
+    callout: 'Callout',
+    stepmarker: 'Step',
+    path: 'Drawing',
+    image: 'Image',
+    redaction: 'Redaction',
+    magnifier: 'Magnifier',
+    spotlight: 'Spotlight',
+    group: 'Group'
+};
+const LAYER_THUMB_SIZE = 32;
+
+const layersPanel = document.getElementById('layers-panel');
+const layersList = document.getElementById('layers-list');
+let layersRefreshPending = false;
+
+// The line tool draws arrows without a head, so those are labelled as lines
+function getTypeLabel(type, obj) {
+    if (type === 'arrow' && obj.headStyle === 'none') return LAYER_LABELS.line;
+    return LAYER_LABELS[type] || type;
+}
+
+function isLocked(obj) {
+    return !!(obj.data && obj.data.locked);
+}
+
+function getLayerName(obj) {
+    if (obj.data && obj.data.name) return obj.data.name;
+    if (isTextObject(obj) && obj.text) return obj.text.split('\n')[0];
+    if (obj instanceof StepMarker) return 'Step ' + obj.stepNumber;
+    return getTypeLabel(obj.type, obj);
+}
+
+// Render just this object over the part of the document it covers
+function renderLayerThumbnail(obj) {
+    const bounds = obj.getBoundingRect();
+    const vpt = canvas.viewportTransform;
+    const zoom = canvas.getZoom();
+    const size = Math.max(bounds.width, bounds.height, 1) * zoom;
+    return canvas.toCanvasElement(LAYER_THUMB_SIZE / size, {
+        left: bounds.left * zoom + vpt[4],
+        top: bounds.top * zoom + vpt[5],
+        width: Math.max(bounds.width * zoom, 1),
+        height: Math.max(bounds.height * zoom, 1),
+        filter: other => other === obj
+    }).toDataURL();
+}
+
+function createLayerButton(className, icon, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'layer-btn ' + className;
+    button.title = title;
+    button.innerHTML = `<i class="fas ${icon}"></i>`;
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+function createLayerRow(obj, selected) {
+    const row = document.createElement('li');
+    row.className = 'layer-row';
+    row.classList.toggle('selected', selected.includes(obj));
+    row.classList.toggle('hidden-layer', !obj.visible);
+    row.classList.toggle('locked', isLocked(obj));
+
+    const thumb = document.createElement('img');
+    thumb.className = 'layer-thumb';
+    thumb.src = renderLayerThumbnail(obj);
+
+    const name = document.createElement('span');
+    name.className = 'layer-name';
+    name.textContent = getLayerName(obj);
+    name.title = 'Double-click to rename';
+    name.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        startRenamingLayer(obj, name);
+    });
+
+    row.append(
+        thumb,
+        name,
+        createLayerButton('layer-visibility', obj.visible ? 'fa-eye' : 'fa-eye-slash',
+            obj.visible ? 'Hide' : 'Show', () => setLayerVisible(obj, !obj.visible)),
+        createLayerButton('layer-lock', isLocked(obj) ? 'fa-lock' : 'fa-lock-open',
+            isLocked(obj) ? 'Unlock' : 'Lock', () => setLayerLocked(obj, !isLocked(obj)))
+    );
+    row.addEventListener('click', (e) => selectLayer(obj, e.metaKey || e.ctrlKey || e.shiftKey));
+    return row;
+}
+
+function refreshLayersPanel() {
+    if (layersPanel.classList.contains('hidden')) return;
+    // Skip the crop frame and shapes still being drawn
+    const objects = canvas.getObjects().filter(obj => obj !== cropFrame && obj !== activeShape);
+    const selected = canvas.getActiveObjects();
+    layersList.replaceChildren(...objects.reverse().map(obj => createLayerRow(obj, selected)));
+    if (objects.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'layers-empty';
+        empty.textContent = 'No annotations yet';
+        layersList.append(empty);
+    }
+}
+
+// Coalesce bursts of events (loading a state adds every object) into one rebuild
+function scheduleLayersRefresh() {
+    if (layersRefreshPending) return;
+    layersRefreshPending = true;
+    requestAnimationFrame(() => {
+        layersRefreshPending = false;
+        refreshLayersPanel();
+    });
+}
+
+// Select a layer, or with a modifier key add it to (or take it out of) the selection
+function selectLayer(obj, toggle) {
+    if (!obj.visible || isLocked(obj)) return;
+    if (currentTool !== 'select') {
+        switchToSelect();
+    }
+
+    let objects = [obj];
+    if (toggle) {
+        const selected = canvas.getActiveObjects();
+        objects = selected.includes(obj) ? selected.filter(other => other !== obj) : [...selected, obj];
+    }
+
+    canvas.discardActiveObject();
+    if (objects.length === 1) {
+        canvas.setActiveObject(objects[0]);
+    } else if (objects.length > 1) {
+        canvas.setActiveObject(new fabric.ActiveSelection(objects, { canvas: canvas }));
+    }
+    canvas.requestRenderAll();
+    refreshPropertiesPanel();
+    refreshLayersPanel();
+}
+
+// Hidden and locked layers can't stay selected
+function deselectLayer(obj) {
+    const selected = canvas.getActiveObjects();
+    if (!selected.includes(obj)) return;
+    const remaining = selected.filter(other => other !== obj);
+    canvas.discardActiveObject();
+    if (remaining.length === 1) {
+        canvas.setActiveObject(remaining[0]);
+    } else if (remaining.length > 1) {
+        canvas.setActiveObject(new fabric.ActiveSelection(remaining, { canvas: canvas }));
+    }
+    refreshPropertiesPanel();
+}
+
+function setLayerVisible(obj, visible) {
+    if (!visible) deselectLayer(obj);
+    obj.set('visible', visible);
+    canvas.requestRenderAll();
+    refreshLayersPanel();
+    debouncedHistorySave();
+}
+
+function setLayerLocked(obj, locked) {
+    if (locked) deselectLayer(obj);
+    obj.data = { ...obj.data, locked: locked };
+    // Drawing tools keep every object out of reach until they switch back to select
+    obj.selectable = !locked && currentTool === 'select';
+    obj.evented = obj.selectable;
+    canvas.requestRenderAll();
+    refreshLayersPanel();
+    debouncedHistorySave();
+}
+
+function startRenamingLayer(obj, nameElement) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'layer-name-input';
+    input.value = getLayerName(obj);
+    nameElement.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+        if (done) return;
+        done = true;
+        if (commit) {
+            // An empty name goes back to the default
+            obj.data = { ...obj.data, name: input.value.trim() || undefined };
+            debouncedHistorySave();
+        }
+        refreshLayersPanel();
+    };
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation(); // Keep tool shortcuts and Delete away from the canvas
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+}
+
+function toggleLayersPanel() {
+    layersPanel.classList.toggle('hidden');
+    document.getElementById('btn-layers').classList.toggle('active', !layersPanel.classList.contains('hidden'));
+    refreshLayersPanel();
+}
+
+document.getElementById('btn-layers').addEventListener('click', toggleLayersPanel);
+document.getElementById('layers-bring-forward').addEventListener('click', () => reorderSelection(1));
+document.getElementById('layers-send-backward').addEventListener('click', () => reorderSelection(-1));
+
+['object:added', 'object:removed', 'object:modified', 'path:created', 'text:editing:exited',
+    'selection:created', 'selection:updated', 'selection:cleared'].forEach(eventName => {
+    canvas.on(eventName, scheduleLayersRefresh);
+});
+// =========== END LAYERS PANEL ===========
+
+// =========== HISTORY PANEL ===========
+// Lists the undo stack oldest first followed by the states that can be redone.
+// Each entry is labelled when it is saved, by comparing it with the one before.
+const HISTORY_THUMB_WIDTH = 64;
+
+// Object properties that tell what kind of change a step was, checked in order
+const HISTORY_CHANGE_LABELS = [
+    [['text'], 'Edit {name}'],
+    [['stroke', 'fill', 'bubbleColor'], 'Change color of {name}'],
+    [['strokeWidth'], 'Change width of {name}'],
+    [['strokeDashArray'], 'Change line style of {name}'],
+    [['headStyle'], 'Change head of {name}'],
+    [['fontFamily', 'fontSize', 'fontWeight', 'fontStyle'], 'Change font of {name}'],
+    [['redactMode', 'strength', 'lensShape', 'zoom', 'spotShape', 'spotMode', 'dimOpacity'], 'Change effect of {name}'],
+    [['opacity'], 'Change opacity of {name}'],
+    [['angle'], 'Rotate {name}'],
+    [['scaleX', 'scaleY', 'width', 'height', 'radius'], 'Resize {name}'],
+    [['left', 'top', 'x1', 'y1', 'x2', 'y2', 'tailX', 'tailY', 'sourceX', 'sourceY'], 'Move {name}']
+];
+
+const historyPanel = document.getElementById('history-panel');
+const historyList = document.getElementById('history-list');
+let historyPanelRefresh = 0;
+
+function getStoredObject(hash) {
+    return JSON.parse(objectCache.get(hash) || '{}');
+}
+
+// Stored JSON names the class ("Arrow", "IText"), live objects report it in lower
+// case and IText as 'i-text'
+function getStoredObjectType(obj) {
+    const type = obj.type.toLowerCase();
+    return type === 'itext' ? 'i-text' : type;
+}
+
+function getStoredObjectName(obj) {
+    if (obj.data && obj.data.name) return obj.data.name;
+    return obj.type ? getTypeLabel(getStoredObjectType(obj), obj).toLowerCase() : 'object';
+}
+
+// "Add arrow", "Change color", "Crop"... from the difference between two entries
+function describeHistoryStep(previous, entry) {
+    if (!previous) {
+        return entry.background || entry.objects.length > 0 ? 'Open' : 'New document';
+    }
+    const previousBackground = previous.background && previous.background.hash;
+    const background = entry.background && entry.background.hash;
+    if (previousBackground !== background || previous.documentWidth !== entry.documentWidth ||
+        previous.documentHeight !== entry.documentHeight) {
+        return previousBackground ? 'Transform image' : 'Open image';
+    }
+    if (JSON.stringify(previous.crop) !== JSON.stringify(entry.crop)) {
+        return entry.crop ? 'Crop' : 'Remove crop';
+    }
+
+    const added = entry.objects.filter(hash => !previous.objects.includes(hash));
+    const removed = previous.objects.filter(hash => !entry.objects.includes(hash));
+    const named = (hashes) => hashes.length === 1 ? getStoredObjectName(getStoredObject(hashes[0])) :
+        hashes.length > 1 ? hashes.length + ' objects' : 'object';
+    if (added.length === 0 && removed.length === 0) {
+        return 'Reorder';
+    }
+    if (entry.objects.length > previous.objects.length) {
+        return 'Add ' + named(added.slice(previous.objects.length - entry.objects.length));
+    }
+    if (entry.objects.length < previous.objects.length) {
+        return 'Delete ' + named(removed.slice(entry.objects.length - previous.objects.length));
+    }
+
+    // Same number of objects: compare the ones that changed
+    if (added.length === 0) {
+        return 'Edit ' + named(removed);
+    }
+    const changes = added.map((hash, i) => ({ before: getStoredObject(removed[i]), after: getStoredObject(hash) }));
+    const name = changes.length === 1 ? getStoredObjectName(changes[0].after) : changes.length + ' objects';
+    const { before, after } = changes[0];
+    const changed = (key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]);
+
+    if (changed('visible')) {
+        return (after.visible ? 'Show ' : 'Hide ') + name;
+    }
+    const beforeData = before.data || {};
+    const afterData = after.data || {};
+    if (beforeData.name !== afterData.name) {
+        return 'Rename ' + name;
+    }
+    if (!!beforeData.locked !== !!afterData.locked) {
+        return (afterData.locked ? 'Lock ' : 'Unlock ') + name;
+    }
+    const match = HISTORY_CHANGE_LABELS.find(([keys]) => keys.some(changed));
+    return (match ? match[1] : 'Edit {name}').replace('{name}', name);
+}
+
+// A small picture of the view for the history panel
+function renderHistoryThumbnail() {
     try {
-        // Remove the selection rectangle temporarily for capture
-        canvas.remove(selectionRect);
-        canvas.renderAll();
+        return canvas.toDataURL({
+            format: 'jpeg',
+            quality: 0.7,
+            multiplier: HISTORY_THUMB_WIDTH / canvas.width,
+            filter: obj => obj !== cropFrame
+        });
+    } catch (e) {
+        log('Error rendering history thumbnail: ' + e);
+        return null;
+    }
+}
 
-        // Create a temporary canvas to capture the crop area
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = cropWidth;
-        tempCanvas.height = cropHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-
-        // Get the current canvas as data URL
-        const fullDataUrl = canvas.toDataURL({ format: 'png' });
-
-        // Load and crop the image
-        const img = new Image();
-        img.onload = async () => {
-            // Draw the cropped portion
-            // We need to scale the source coordinates because fullDataUrl is zoomed
-            const scale = currentZoom;
-            tempCtx.drawImage(img, cropLeft * scale, cropTop * scale, cropWidth * scale, cropHeight * scale, 0, 0, cropWidth, cropHeight);
-
-            // Get the cropped image data URL
-            const croppedDataUrl = tempCanvas.toDataURL('image/png');
-
-            // Clear current canvas and resize logic dimensions
-            canvas.clear();
-            canvas.backgroundColor = 'white';
-            originalWidth = cropWidth;
-            originalHeight = cropHeight;
-
-            // Set element dimensions based on current zoom
-            canvas.setDimensions({ width: originalWidth * currentZoom, height: originalHeight * currentZoom });
-
-            // Set the cropped image as background
-            const fabricImg = await fabric.FabricImage.fromURL(croppedDataUrl);
-            fabricImg.set({
-                originX: 'left',
-                originY: 'top',
-                left: 0,
-                top: 0,
-                scaleX: 1,
-                scaleY: 1
+function createHistoryRow(id, entry, state) {
+    const row = document.createElement('li');
+    row.className = 'history-row ' + state;
+    row.title = state === 'redoable' ? 'Redo to here' : 'Go back to here';
+
+    const thumb = document.createElement('img');
+    thumb.className = 'history-thumb';
+    if (entry && entry.thumbnail) {
+        thumb.src = entry.thumbnail;
+    }
+
+    const label = document.createElement('span');
+    label.className = 'history-label';
+    label.textContent = (entry && entry.label) || 'Step ' + id;
+
+    row.append(thumb, label);
+    if (state === 'redoable') {
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-redo history-redo-icon';
+        row.append(icon);
+    }
+    row.addEventListener('click', () => jumpToState(id));
+    return row;
+}
+
+async function refreshHistoryPanel() {
+    if (historyPanel.classList.contains('hidden')) return;
+
+    // Entries restored from a previous session may still be in the database
+    const refresh = ++historyPanelRefresh;
+    const undoIds = [...undoStack];
+    const redoIds = [...redoStack].reverse();
+    const entries = await Promise.all([...undoIds, ...redoIds].map(getHistoryEntry));
+    if (refresh !== historyPanelRefresh) return;
+
+    const rows = [...undoIds, ...redoIds].map((id, i) => {
+        const state = i >= undoIds.length ? 'redoable' : i === undoIds.length - 1 ? 'current' : 'done';
+        return createHistoryRow(id, entries[i], state);
+    });
+    historyList.replaceChildren(...rows);
+    const current = historyList.querySelector('.current');
+    if (current) current.scrollIntoView({ block: 'nearest' });
+}
+
+function toggleHistoryPanel() {
+    historyPanel.classList.toggle('hidden');
+    document.getElementById('btn-history').classList.toggle('active', !historyPanel.classList.contains('hidden'));
+    refreshHistoryPanel();
+}
+
+document.getElementById('btn-history').addEventListener('click', toggleHistoryPanel);
+// =========== END HISTORY PANEL ===========
+
+// =========== KEYBOARD SHORTCUTS ===========
+// Commands and their default bindings are in shortcuts.js; this maps each command
+// to what it does. An action returning false didn't apply, and leaves the key alone.
+const SHORTCUT_ACTIONS = {
+    'edit.undo': performUndo,
+    'edit.redo': performRedo,
+    'edit.copy': doCopy,
+    'edit.paste': doPaste,
+    'edit.paste-document': doPasteAsDocument,
+    'edit.delete': deleteSelection,
+    'edit.apply-crop': () => {
+        if (!cropEditing) return false;
+        applyCrop();
+    },
+    'file.new': doNew,
+    'file.new-window': doNewWindow,
+    'file.open': doOpen,
+    'file.insert-image': doInsertImage,
+    'file.save': doSave,
+    'file.save-project': doSaveProject,
+    'file.timed-capture': doTimedCapture,
+    'file.preferences': () => skitch.openPreferences(),
+    'view.zoom-in': () => setZoom(currentZoom * 1.1),
+    'view.zoom-out': () => setZoom(currentZoom / 1.1),
+    'view.zoom-reset': () => setZoom(1),
+    'view.layers': toggleLayersPanel,
+    'view.history': toggleHistoryPanel,
+    'view.document': showDocumentDialog,
+    'view.shortcuts': showShortcutsDialog
+};
+toolBtns.forEach(btn => {
+    SHORTCUT_ACTIONS['tool.' + btn.dataset.tool] = () => btn.click();
+});
+
+// Toolbar buttons whose tooltip shows their shortcut
+const SHORTCUT_BUTTONS = {
+    'edit.undo': 'btn-undo',
+    'edit.redo': 'btn-redo',
+    'edit.copy': 'btn-copy',
+    'edit.paste': 'btn-paste',
+    'edit.paste-document': 'btn-paste-document',
+    'file.new': 'btn-new',
+    'file.new-window': 'btn-new-window',
+    'file.open': 'btn-open',
+    'file.insert-image': 'btn-insert-image',
+    'file.save': 'btn-save',
+    'file.save-project': 'btn-save-project',
+    'file.timed-capture': 'btn-timed-capture',
+    'file.preferences': 'btn-preferences',
+    'view.zoom-in': 'btn-zoom-in',
+    'view.zoom-out': 'btn-zoom-out',
+    'view.layers': 'btn-layers',
+    'view.history': 'btn-history',
+    'view.document': 'btn-document',
+    'view.shortcuts': 'btn-shortcuts'
+};
+
+const shortcutsDialog = document.getElementById('shortcuts-dialog');
+const shortcutsList = document.getElementById('shortcuts-list');
+let shortcutBindings = {}; // commandId -> bindings
+let shortcutCommands = new Map(); // binding -> commandId
+
+function getShortcutButton(id) {
+    return id.startsWith('tool.') ? document.querySelector(`.tool-btn[data-tool="${id.slice(5)}"]`) :
+        document.getElementById(SHORTCUT_BUTTONS[id]);
+}
+
+// Rebuild the key lookup and the tooltips from the bindings in the settings
+function applyShortcutSettings(overrides) {
+    shortcutBindings = getShortcutBindings(overrides);
+    shortcutCommands = new Map();
+    SHORTCUT_COMMANDS.forEach(command => {
+        shortcutBindings[command.id].forEach(binding => {
+            // Two commands sharing a binding: the first one listed wins
+            if (!shortcutCommands.has(binding)) shortcutCommands.set(binding, command.id);
+        });
+    });
+
+    SHORTCUT_COMMANDS.forEach(command => {
+        const button = getShortcutButton(command.id);
+        if (!button) return;
+        const keys = shortcutBindings[command.id].map(formatBinding).join(' or ');
+        button.title = keys ? `${command.label} (${keys})` : command.label;
+    });
+}
+
+function deleteSelection() {
+    const activeObjects = canvas.getActiveObjects().filter(obj => obj !== cropFrame);
+    if (!activeObjects.length) return false;
+    canvas.discardActiveObject();
+    activeObjects.forEach((obj) => {
+        canvas.remove(obj);
+    });
+    canvas.requestRenderAll();
+}
+
+// The cheat sheet: every command with a binding, by group
+function showShortcutsDialog() {
+    shortcutsList.innerHTML = '';
+    SHORTCUT_GROUPS.forEach(group => {
+        const commands = SHORTCUT_COMMANDS.filter(command => command.group === group &&
+            shortcutBindings[command.id].length > 0);
+        if (commands.length === 0) return;
+
+        const section = document.createElement('div');
+        section.className = 'shortcuts-group';
+        const title = document.createElement('h4');
+        title.textContent = group;
+        section.appendChild(title);
+        commands.forEach(command => {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+            const label = document.createElement('span');
+            label.textContent = command.label;
+            row.appendChild(label);
+            const keys = document.createElement('span');
+            shortcutBindings[command.id].forEach(binding => {
+                const key = document.createElement('kbd');
+                key.textContent = formatBinding(binding);
+                keys.appendChild(key);
             });
-            canvas.backgroundImage = fabricImg;
+            row.appendChild(keys);
+            section.appendChild(row);
+        });
+        shortcutsList.appendChild(section);
+    });
+    shortcutsDialog.classList.remove('hidden');
+}
+
+function closeShortcutsDialog() {
+    shortcutsDialog.classList.add('hidden');
+}
+
+document.getElementById('btn-shortcuts').addEventListener('click', showShortcutsDialog);
+document.getElementById('shortcuts-close').addEventListener('click', closeShortcutsDialog);
+document.getElementById('shortcuts-edit').addEventListener('click', () => {
+    closeShortcutsDialog();
+    skitch.openPreferences();
+});
+applyShortcutSettings(settings.shortcuts);
+
+window.addEventListener('keydown', (e) => {
+    // Dialogs only listen for Escape
+    const openModal = document.querySelector('.modal:not(.hidden)');
+    if (openModal) {
+        if (e.key === 'Escape') {
+            openModal.querySelector('.modal-cancel').click();
+        }
+        return;
+    }
+
+    // Leave typing in toolbar fields alone
+    if (e.target.matches('input[type="number"], input[type="text"], select, textarea')) return;
+
+    // Don't handle shortcuts if editing text
+    const activeObj = canvas.getActiveObject();
+    if (activeObj && activeObj instanceof fabric.IText && activeObj.isEditing) {
+        // Only allow Escape to exit text editing
+        if (e.key === 'Escape') {
+            activeObj.exitEditing();
+            canvas.discardActiveObject();
             canvas.renderAll();
+        }
+        return;
+    }
+
+    // Escape - Deselect / Cancel current drawing
+    if (e.key === 'Escape') {
+        if (isDrawing && activeShape) {
+            canvas.remove(activeShape);
+            activeShape = null;
+            isDrawing = false;
+        }
+        canvas.discardActiveObject();
+        canvas.renderAll();
+        switchToSelect();
+        return;
+    }
+
+    const id = shortcutCommands.get(bindingFromEvent(e));
+    if (!id) return;
+    if (SHORTCUT_ACTIONS[id]() !== false) {
+        e.preventDefault();
+    }
+});
+// =========== END KEYBOARD SHORTCUTS ===========
+
+// =========== EXPORT ===========
+const EXPORT_FORMAT_LABELS = { png: 'PNG', jpeg: 'JPEG', webp: 'WebP', svg: 'SVG', pdf: 'PDF' };
+let lastExportFormat = null; // The preferred format from the settings until something is exported
 
-            log('Crop completed');
+const exportDialog = document.getElementById('export-dialog');
+const exportScaleSelect = document.getElementById('export-scale');
 
-            // Clear history and save new state
-            await clearHistoryStorage();
-            historyLock = false;
-            saveHistory();
-        };
-        img.src = fullDataUrl;
-    } catch (e) {
-        log('Error during crop: ' + e);
-        historyLock = false;
-    }
+function getExportScale() {
+    return parseFloat(exportScaleSelect.value) || 1;
 }
 
-async function executeMosaic(selectionRect) {
-    const mosaicLeft = Math.max(0, Math.round(selectionRect.left));
-    const mosaicTop = Math.max(0, Math.round(selectionRect.top));
-    const mosaicWidth = Math.min(Math.round(selectionRect.width), canvas.width - mosaicLeft);
-    const mosaicHeight = Math.min(Math.round(selectionRect.height), canvas.height - mosaicTop);
+// Keep the number next to each quality slider in sync
+exportDialog.querySelectorAll('input[type="range"]').forEach(slider => {
+    slider.addEventListener('input', () => {
+        slider.nextElementSibling.textContent = slider.value;
+    });
+});
 
-    if (mosaicWidth < 10 || mosaicHeight < 10) {
-        log('Mosaic area too small');
-        return;
+function readExportOptions(format) {
+    switch (format) {
+        case 'jpeg':
+            return { quality: document.getElementById('jpeg-quality').value / 100 };
+        case 'webp':
+            return { quality: document.getElementById('webp-quality').value / 100 };
+        case 'svg':
+            return { includeBackground: document.getElementById('svg-include-background').checked };
+        case 'pdf':
+            return {
+                pageSize: document.getElementById('pdf-page-size').value,
+                quality: document.getElementById('pdf-quality').value / 100
+            };
+        default:
+            return {};
     }
+}
 
-    log('Executing mosaic: ' + mosaicWidth + 'x' + mosaicHeight + ' at ' + mosaicLeft + ',' + mosaicTop);
-
-    try {
-        // Remove the selection rectangle temporarily for capture
-        canvas.remove(selectionRect);
-        canvas.renderAll();
+// Show the options panel for a format. Resolves with the chosen options, or null if canceled.
+function showExportOptions(format) {
+    const panel = exportDialog.querySelector(`.export-options[data-format="${format}"]`);
+    if (!panel) {
+        // Nothing to configure (PNG)
+        return Promise.resolve({});
+    }
 
-        // Get the canvas data URL
-        const dataUrl = canvas.toDataURL({ format: 'png' });
-
-        // Create temporary canvas to process
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = mosaicWidth;
-        tempCanvas.height = mosaicHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-
-        const img = new Image();
-        img.onload = async () => {
-            // Draw the selected portion (scaled)
-            const scale = currentZoom;
-            tempCtx.drawImage(img, mosaicLeft * scale, mosaicTop * scale, mosaicWidth * scale, mosaicHeight * scale, 0, 0, mosaicWidth, mosaicHeight);
-
-            // Apply pixelation effect
-            const blockSize = 10; // Size of mosaic blocks
-            const imageData = tempCtx.getImageData(0, 0, mosaicWidth, mosaicHeight);
-            const data = imageData.data;
-
-            for (let y = 0; y < mosaicHeight; y += blockSize) {
-                for (let x = 0; x < mosaicWidth; x += blockSize) {
-                    // Calculate average color in block
-                    let r = 0, g = 0, b = 0, count = 0;
-
-                    for (let by = 0; by < blockSize && y + by < mosaicHeight; by++) {
-                        for (let bx = 0; bx < blockSize && x + bx < mosaicWidth; bx++) {
-                            const idx = ((y + by) * mosaicWidth + (x + bx)) * 4;
-                            r += data[idx];
-                            g += data[idx + 1];
-                            b += data[idx + 2];
-                            count++;
-                        }
-                    }
+    exportDialog.querySelectorAll('.export-options').forEach(p => {
+        p.style.display = p === panel ? 'block' : 'none';
+    });
+    document.getElementById('export-title').textContent = `Export as ${EXPORT_FORMAT_LABELS[format]}`;
+    exportDialog.classList.remove('hidden');
 
-                    r = Math.round(r / count);
-                    g = Math.round(g / count);
-                    b = Math.round(b / count);
-
-                    // Fill block with average color
-                    for (let by = 0; by < blockSize && y + by < mosaicHeight; by++) {
-                        for (let bx = 0; bx < blockSize && x + bx < mosaicWidth; bx++) {
-                            const idx = ((y + by) * mosaicWidth + (x + bx)) * 4;
-                            data[idx] = r;
-                            data[idx + 1] = g;
-                            data[idx + 2] = b;
-                        }
-                    }
-                }
-            }
+    return new Promise((resolve) => {
+        const close = (result) => {
+            exportDialog.classList.add('hidden');
+            resolve(result);
+        };
+        document.getElementById('export-confirm').onclick = () => close(readExportOptions(format));
+        document.getElementById('export-cancel').onclick = () => close(null);
+    });
+}
 
-            tempCtx.putImageData(imageData, 0, 0);
+// Draw every visible redaction into a copy of the background image. Returns
+// null when there is nothing to burn in.
+function burnInRedactions() {
+    const bg = canvas.backgroundImage;
+    const redactions = getRedactions().filter(obj => obj.visible);
+    if (!bg || redactions.length === 0) return null;
+
+    const burned = document.createElement('canvas');
+    burned.width = bg.width;
+    burned.height = bg.height;
+    const ctx = burned.getContext('2d');
+    ctx.drawImage(bg.getElement(), 0, 0);
+
+    redactions.forEach(redaction => {
+        const src = redaction.getSourceRect(bg);
+        if (redaction.redactMode === 'solid') {
+            ctx.fillStyle = redaction.fill;
+            ctx.fillRect(src.x, src.y, src.width, src.height);
+        } else {
+            ctx.drawImage(redaction.getRedactedRegion(bg), src.x, src.y);
+        }
+    });
 
-            // Create fabric image from pixelated data
-            const mosaicDataUrl = tempCanvas.toDataURL('image/png');
-            const mosaicImg = await fabric.FabricImage.fromURL(mosaicDataUrl);
-            mosaicImg.set({
-                left: mosaicLeft,
-                top: mosaicTop,
-                originX: 'left',
-                originY: 'top',
-                selectable: true,
-                evented: true
-            });
+    return new fabric.FabricImage(burned, {
+        left: bg.left,
+        top: bg.top,
+        scaleX: bg.scaleX,
+        scaleY: bg.scaleY,
+        originX: 'left',
+        originY: 'top'
+    });
+}
 
-            canvas.add(mosaicImg);
-            canvas.renderAll();
+// Run an export with the redactions burned into the background, so the saved
+// file holds only the obscured pixels. The document itself stays editable.
+function withRedactionsBurnedIn(render) {
+    const burned = burnInRedactions();
+    if (!burned) return render();
 
-            log('Mosaic completed');
-        };
-        img.src = dataUrl;
-    } catch (e) {
-        log('Error during mosaic: ' + e);
+    const backgroundImage = canvas.backgroundImage;
+    canvas.backgroundImage = burned;
+    try {
+        return render();
+    } finally {
+        canvas.backgroundImage = backgroundImage;
     }
 }
-// =========== END CROP AND MOSAIC ===========
 
-// =========== KEYBOARD SHORTCUTS ===========
-window.addEventListener('keydown', (e) => {
-    // Don't handle shortcuts if editing text
-    const activeObj = canvas.getActiveObject();
-    if (activeObj && activeObj.type === 'i-text' && activeObj.isEditing) {
-        // Only allow Escape to exit text editing
-        if (e.key === 'Escape') {
-            activeObj.exitEditing();
-            canvas.discardActiveObject();
-            canvas.renderAll();
+// The part of a background image inside the view, so a cropped SVG doesn't carry
+// the pixels that were cropped away. Returns null when the view misses the image.
+function cropBackgroundImage(bg, view) {
+    const left = Math.max(0, Math.floor((view.left - bg.left) / bg.scaleX));
+    const top = Math.max(0, Math.floor((view.top - bg.top) / bg.scaleY));
+    const right = Math.min(bg.width, Math.ceil((view.left + view.width - bg.left) / bg.scaleX));
+    const bottom = Math.min(bg.height, Math.ceil((view.top + view.height - bg.top) / bg.scaleY));
+    if (right <= left || bottom <= top) return null;
+
+    const cropped = document.createElement('canvas');
+    cropped.width = right - left;
+    cropped.height = bottom - top;
+    cropped.getContext('2d').drawImage(bg.getElement(), left, top, cropped.width, cropped.height,
+        0, 0, cropped.width, cropped.height);
+
+    return new fabric.FabricImage(cropped, {
+        left: bg.left + left * bg.scaleX,
+        top: bg.top + top * bg.scaleY,
+        scaleX: bg.scaleX,
+        scaleY: bg.scaleY,
+        originX: 'left',
+        originY: 'top'
+    });
+}
+
+// With a crop, only the cropped part of the background is embedded, objects
+// entirely outside it are left out and the rest are clipped to it.
+function renderSvg(options) {
+    const view = getViewRect();
+    const backgroundImage = canvas.backgroundImage;
+    const backgroundColor = canvas.backgroundColor;
+    const clipPath = canvas.clipPath;
+    const excluded = [];
+    if (!options.includeBackground) {
+        canvas.backgroundImage = null;
+        canvas.backgroundColor = '';
+    }
+    if (cropRect && !cropEditing) {
+        if (canvas.backgroundImage) {
+            canvas.backgroundImage = cropBackgroundImage(canvas.backgroundImage, view);
         }
-        return;
+        canvas.getObjects().forEach(obj => {
+            const bounds = obj.getBoundingRect();
+            const outside = bounds.left >= view.left + view.width || bounds.top >= view.top + view.height ||
+                bounds.left + bounds.width <= view.left || bounds.top + bounds.height <= view.top;
+            if (outside && !obj.excludeFromExport) {
+                obj.excludeFromExport = true;
+                excluded.push(obj);
+            }
+        });
+        canvas.clipPath = new fabric.Rect({
+            left: view.left,
+            top: view.top,
+            width: view.width,
+            height: view.height,
+            originX: 'left',
+            originY: 'top',
+            strokeWidth: 0
+        });
+    }
+    try {
+        return canvas.toSVG({
+            width: String(view.width * getExportScale()),
+            height: String(view.height * getExportScale()),
+            viewBox: { x: view.left, y: view.top, width: view.width, height: view.height }
+        });
+    } finally {
+        canvas.backgroundImage = backgroundImage;
+        canvas.backgroundColor = backgroundColor;
+        canvas.clipPath = clipPath;
+        excluded.forEach(obj => { obj.excludeFromExport = false; });
     }
+}
 
-    const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
-    const ctrlOrCmd = isMac ? e.metaKey : e.ctrlKey;
+// Rasterize the document at its true size times the export scale. The canvas
+// element is resized by setZoom(), so the zoom has to be divided back out.
+function renderRaster(format, quality) {
+    return canvas.toDataURL({
+        format: format,
+        quality: quality,
+        multiplier: getExportScale() / currentZoom
+    });
+}
 
-    // Delete/Backspace - Delete selected objects
-    if (e.key === 'Delete' || e.key === 'Backspace') {
-        const activeObjects = canvas.getActiveObjects();
-        if (activeObjects.length) {
-            canvas.discardActiveObject();
-            activeObjects.forEach((obj) => {
-                canvas.remove(obj);
-            });
-            canvas.requestRenderAll();
-            e.preventDefault();
-        }
+// Encode the document for the given format: a data URL for raster formats, markup for SVG
+function renderExport(format, options) {
+    if (format === 'svg') {
+        return withRedactionsBurnedIn(() => renderSvg(options));
     }
+    // PDFs embed a JPEG, the main process wraps it in the page
+    const imageFormat = format === 'pdf' ? 'jpeg' : format;
+    return withRedactionsBurnedIn(() => renderRaster(imageFormat, options.quality));
+}
+// =========== END EXPORT ===========
 
-    // Cmd/Ctrl + Z - Undo
-    if (ctrlOrCmd && e.key === 'z' && !e.shiftKey) {
-        performUndo();
-        e.preventDefault();
-    }
+// =========== IO FUNCTIONS ===========
+// Replace the document with a new background image (used by open, paste and capture)
+async function loadBackgroundImage(dataUrl) {
+    historyLock = true;
+    currentProjectPath = null;
 
-    // Cmd/Ctrl + Shift + Z or Cmd/Ctrl + Y - Redo
-    if ((ctrlOrCmd && e.shiftKey && e.key === 'z') || (ctrlOrCmd && e.key === 'y')) {
-        performRedo();
-        e.preventDefault();
-    }
+    // Clear canvas first
+    canvas.clear();
+    canvas.backgroundColor = 'white';
+    undoStack = [];
+    redoStack = [];
+    clearHistoryStorage();
 
-    // Cmd/Ctrl + C - Copy
-    if (ctrlOrCmd && e.key === 'c') {
-        doCopy();
-        e.preventDefault();
-    }
+    // Use FabricImage.fromURL which returns a Promise in v7
+    const img = await fabric.FabricImage.fromURL(dataUrl);
+
+    // Resize canvas to match image
+    originalWidth = img.width;
+    originalHeight = img.height;
+    cropRect = null;
+    setZoom(1);
+
+    img.set({
+        originX: 'left',
+        originY: 'top',
+        scaleX: 1,
+        scaleY: 1,
+        left: 0,
+        top: 0
+    });
+    canvas.backgroundImage = img;
+    canvas.requestRenderAll();
 
-    // Cmd/Ctrl + V - Paste
-    if (ctrlOrCmd && e.key === 'v') {
-        doPaste();
-        e.preventDefault();
-    }
+    // Awaited, so whatever the caller does next (like adding more dropped images)
+    // is recorded after the loaded image's history step
+    await new Promise(resolve => setTimeout(resolve, 200));
+    historyLock = false;
+    saveHistory();
+    isModified = false;
+}
 
-    // Cmd/Ctrl + S - Save
-    if (ctrlOrCmd && e.key === 's') {
-        doSave();
-        e.preventDefault();
-    }
+function documentHasContent() {
+    return !!canvas.backgroundImage || canvas.getObjects().length > 0;
+}
 
-    // Cmd/Ctrl + O - Open
-    if (ctrlOrCmd && e.key === 'o') {
-        doOpen();
-        e.preventDefault();
+// Load an image or project into this window. The payload is what open-image
+// returns ({ project, filePath } or base64 { data }), or a { dataUrl }.
+async function loadDocument(payload) {
+    if (payload.project) {
+        log('Loading project...');
+        await loadProject(payload.project, payload.filePath);
+        log('Project loaded successfully');
+    } else {
+        log('Loading image...');
+        await loadBackgroundImage(payload.dataUrl || `data:image/png;base64,${payload.data}`);
+        log('Image loaded successfully');
     }
+}
 
-    // Cmd/Ctrl + N - New
-    if (ctrlOrCmd && e.key === 'n') {
-        doNew();
-        e.preventDefault();
+// Open a document without losing the current one: an empty window is reused,
+// otherwise the document gets a window of its own
+async function openDocument(payload) {
+    if (documentHasContent()) {
+        log('Opening document in a new window');
+        await skitch.openDocumentWindow({ load: payload });
+        return;
     }
+    await loadDocument(payload);
+}
 
-    // Escape - Deselect / Cancel current drawing
-    if (e.key === 'Escape') {
-        if (isDrawing && activeShape) {
-            canvas.remove(activeShape);
-            activeShape = null;
-            isDrawing = false;
-        }
-        canvas.discardActiveObject();
-        canvas.renderAll();
-        switchToSelect();
+function doNewWindow() {
+    log('New window clicked');
+    skitch.openDocumentWindow();
+}
+
+// The main process asks before closing a window that isn't the last one
+async function doCloseDocument() {
+    if (isModified) {
+        const confirmed = await skitch.showConfirmDialog({
+            message: 'You have unsaved changes. Are you sure you want to close this document?',
+            detail: 'Your current work will be lost.'
+        });
+        if (!confirmed) return;
     }
-});
-// =========== END KEYBOARD SHORTCUTS ===========
 
-// =========== IO FUNCTIONS ===========
+    // A closed document must not come back as a recovered session
+    await clearDB();
+    skitch.closeDocumentWindow();
+}
+
 async function doNew() {
     log('New clicked');
 
     if (isModified) {
-        const confirmed = await ipcRenderer.invoke('show-confirm-dialog', {
+        const confirmed = await skitch.showConfirmDialog({
             message: 'You have unsaved changes. Are you sure you want to create a new canvas?',
             detail: 'Your current work will be lost.'
         });
@@ -1035,20 +3922,17 @@ async function doNew() {
 
     historyLock = true;
 
-    // Reset zoom and dimensions
-    currentZoom = 1;
+    // Reset zoom, crop and dimensions
     originalWidth = window.innerWidth;
     originalHeight = window.innerHeight - 50;
-    canvas.setZoom(1);
-    canvas.setDimensions({
-        width: originalWidth,
-        height: originalHeight
-    });
+    cropRect = null;
+    setZoom(1);
 
     canvas.clear();
     canvas.backgroundColor = 'white';
     canvas.backgroundImage = null;
     canvas.requestRenderAll();
+    currentProjectPath = null;
     undoStack = [];
     redoStack = [];
     clearHistoryStorage();
@@ -1062,64 +3946,18 @@ async function doNew() {
 async function doOpen() {
     log('Open clicked');
 
-    if (isModified) {
-        const confirmed = await ipcRenderer.invoke('show-confirm-dialog', {
-            message: 'You have unsaved changes. Are you sure you want to open a new image?',
-            detail: 'Your current work will be lost.'
-        });
-        if (!confirmed) return;
-    }
-
     try {
-        const result = await ipcRenderer.invoke('open-image');
+        const result = await skitch.openImage();
         if (!result.canceled) {
-            const dataUrl = `data:image/png;base64,${result.data}`;
-            log('Loading image...');
-
-            historyLock = true;
-
-            // Clear canvas first
-            canvas.clear();
-            canvas.backgroundColor = 'white';
-            undoStack = [];
-            redoStack = [];
-            clearHistoryStorage();
-
-            // Use FabricImage.fromURL which returns a Promise in v7
-            const img = await fabric.FabricImage.fromURL(dataUrl);
-
-            // Resize canvas to match image
-            originalWidth = img.width;
-            originalHeight = img.height;
-            currentZoom = 1;
-            canvas.setZoom(1);
-            canvas.setDimensions({
-                width: originalWidth,
-                height: originalHeight
-            });
-
-            img.set({
-                originX: 'left',
-                originY: 'top',
-                scaleX: 1,
-                scaleY: 1,
-                left: 0,
-                top: 0
-            });
-            canvas.backgroundImage = img;
-            canvas.requestRenderAll();
-
-            log('Image loaded successfully');
-
-            setTimeout(() => {
-                historyLock = false;
-                saveHistory();
-                isModified = false;
-            }, 200);
+            await openDocument(result);
         }
     } catch (err) {
         historyLock = false;
         log('Error opening image: ' + err);
+        skitch.showErrorDialog({
+            message: 'The file could not be opened.',
+            detail: err.message
+        });
     }
 }
 
@@ -1128,12 +3966,30 @@ async function doSave() {
     canvas.discardActiveObject();
     canvas.renderAll();
 
-    const dataUrl = canvas.toDataURL({ format: 'png' });
-    const buffer = Buffer.from(dataUrl.replace(/^data:image\/\w+;base64,/, ""), 'base64');
-
-    const result = await ipcRenderer.invoke('save-image', buffer);
+    // The extension chosen in the save dialog picks the encoder
+    const target = await skitch.chooseExportPath({ defaultFormat: lastExportFormat });
+    if (target.canceled) return;
+
+    const options = await showExportOptions(target.format);
+    if (!options) return;
+    lastExportFormat = target.format;
+
+    const result = await skitch.saveImage({
+        filePath: target.filePath,
+        format: target.format,
+        data: renderExport(target.format, options),
+        width: getViewRect().width,
+        height: getViewRect().height,
+        pageSize: options.pageSize
+    });
     if (result.success) {
         log('Saved to ' + result.filePath);
+    } else if (result.error) {
+        log('Error saving: ' + result.error);
+        skitch.showErrorDialog({
+            message: 'The image could not be saved.',
+            detail: result.error
+        });
     }
 }
 
@@ -1142,85 +3998,272 @@ async function doCopy() {
     canvas.discardActiveObject();
     canvas.renderAll();
 
-    const dataUrl = canvas.toDataURL({ format: 'png' });
-    await ipcRenderer.invoke('copy-to-clipboard', dataUrl);
+    const dataUrl = withRedactionsBurnedIn(() => renderRaster('png'));
+    await skitch.copyToClipboard(dataUrl);
     log('Copied to clipboard!');
 }
 
+// Paste into the open document as a layer, or as the document if there is none yet
 async function doPaste() {
     log('Paste clicked');
-    const image = clipboard.readImage();
+    const dataUrl = await skitch.readClipboardImage();
 
-    if (!image.isEmpty()) {
-        if (isModified) {
-            const confirmed = await ipcRenderer.invoke('show-confirm-dialog', {
-                message: 'You have unsaved changes. Are you sure you want to paste from clipboard?',
-                detail: 'This will replace your current work.'
-            });
-            if (!confirmed) return;
+    if (dataUrl) {
+        try {
+            if (documentHasContent()) {
+                log('Pasting image from clipboard as a layer...');
+                await addImageLayer(dataUrl);
+            } else {
+                log('Pasting image from clipboard...');
+                await openDocument({ dataUrl });
+            }
+        } catch (err) {
+            historyLock = false;
+            log('Error pasting image: ' + err);
         }
+    } else {
+        log('No image in clipboard');
+    }
+}
 
+// Paste the clipboard image as a document of its own
+async function doPasteAsDocument() {
+    log('Paste as new document clicked');
+    const dataUrl = await skitch.readClipboardImage();
+
+    if (dataUrl) {
         try {
-            const dataUrl = image.toDataURL();
-            log('Pasting image from clipboard...');
+            await openDocument({ dataUrl });
+        } catch (err) {
+            historyLock = false;
+            log('Error pasting image: ' + err);
+        }
+    } else {
+        log('No image in clipboard');
+    }
+}
 
-            historyLock = true;
+// Add an image file to the open document as a layer
+async function doInsertImage() {
+    log('Insert image clicked');
 
-            // Clear canvas first
-            canvas.clear();
-            canvas.backgroundColor = 'white';
-            undoStack = [];
-            redoStack = [];
-            clearHistoryStorage();
-
-            const img = await fabric.FabricImage.fromURL(dataUrl);
-
-            // Resize canvas to match image
-            originalWidth = img.width;
-            originalHeight = img.height;
-            currentZoom = 1;
-            canvas.setZoom(1);
-            canvas.setDimensions({
-                width: originalWidth,
-                height: originalHeight
-            });
+    try {
+        const result = await skitch.openImage({ imagesOnly: true });
+        if (!result.canceled) {
+            await addImageLayer(`data:image/png;base64,${result.data}`);
+        }
+    } catch (err) {
+        log('Error inserting image: ' + err);
+        skitch.showErrorDialog({
+            message: 'The image could not be inserted.',
+            detail: err.message
+        });
+    }
+}
 
-            img.set({
-                originX: 'left',
-                originY: 'top',
-                scaleX: 1,
-                scaleY: 1,
-                left: 0,
-                top: 0
-            });
-            canvas.backgroundImage = img;
-            canvas.requestRenderAll();
+// Screenshots taken from the tray menu or a global capture shortcut
+async function doLoadCapture(dataUrl) {
+    log('Captured image received');
+
+    try {
+        await openDocument({ dataUrl: dataUrl });
+    } catch (err) {
+        historyLock = false;
+        log('Error loading captured image: ' + err);
+    }
+}
 
-            log('Pasted image from clipboard');
+// Hide the window, count down, then capture (the result comes back through doLoadCapture)
+async function doTimedCapture() {
+    const seconds = parseInt(captureDelayInput.value, 10);
+    if (!(seconds >= 1)) {
+        log('Invalid capture delay: ' + captureDelayInput.value);
+        captureDelayInput.focus();
+        return;
+    }
+    log('Timed capture in ' + seconds + 's');
+    await skitch.startTimedCapture({ mode: captureModeSelect.value, seconds });
+}
 
-            setTimeout(() => {
-                historyLock = false;
-                saveHistory();
-                isModified = false;
-            }, 200);
+// Add an image to the open document as a movable object, scaled down to fit
+// the view and centered on the given point (or the view)
+async function addImageLayer(dataUrl, center) {
+    const img = await fabric.FabricImage.fromURL(dataUrl);
+    const view = getViewRect();
+    const scale = Math.min(1, view.width * 0.8 / img.width, view.height * 0.8 / img.height);
+    const inView = center && center.x >= view.left && center.x <= view.left + view.width &&
+        center.y >= view.top && center.y <= view.top + view.height;
+
+    img.set({ scaleX: scale, scaleY: scale, shadow: currentImageShadow ? new fabric.Shadow(IMAGE_SHADOW) : null });
+    img.setPositionByOrigin(inView ? center : new fabric.Point(view.left + view.width / 2, view.top + view.height / 2), 'center', 'center');
+    canvas.add(img);
+    switchToSelect();
+    canvas.setActiveObject(img);
+    canvas.requestRenderAll();
+    log('Image added as a layer');
+}
+
+function isProjectFile(file) {
+    return file.name.toLowerCase().endsWith('.' + PROJECT_EXTENSION);
+}
+
+function readDroppedFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        if (isProjectFile(file)) {
+            reader.readAsText(file);
+        } else {
+            reader.readAsDataURL(file);
+        }
+    });
+}
+
+// Dropped images open in an empty document and are added as layers to one that
+// is already open. Dropped projects open like they do from the Open dialog.
+async function doDrop(e) {
+    e.preventDefault();
+    canvasContainer.classList.remove('drop-target');
+    const dropPoint = canvas.getScenePoint(e);
+
+    for (const file of e.dataTransfer.files) {
+        try {
+            if (isProjectFile(file)) {
+                await openDocument({ project: await readDroppedFile(file), filePath: skitch.getPathForFile(file) });
+            } else if (file.type.startsWith('image/')) {
+                const dataUrl = await readDroppedFile(file);
+                if (documentHasContent()) {
+                    await addImageLayer(dataUrl, dropPoint);
+                } else {
+                    await loadBackgroundImage(dataUrl);
+                }
+            } else {
+                log('Ignoring dropped file: ' + file.name);
+            }
         } catch (err) {
             historyLock = false;
-            log('Error pasting image: ' + err);
+            log('Error opening dropped file: ' + err);
+            skitch.showErrorDialog({
+                message: `${file.name} could not be opened.`,
+                detail: err.message
+            });
         }
-    } else {
-        log('No image in clipboard');
     }
 }
+
+const canvasContainer = document.getElementById('canvas-container');
+canvasContainer.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    canvasContainer.classList.add('drop-target');
+});
+canvasContainer.addEventListener('dragleave', (e) => {
+    if (!canvasContainer.contains(e.relatedTarget)) {
+        canvasContainer.classList.remove('drop-target');
+    }
+});
+canvasContainer.addEventListener('drop', doDrop);
+
+// A file dropped anywhere else would navigate the window to it
+window.addEventListener('dragover', (e) => e.preventDefault());
+window.addEventListener('drop', (e) => e.preventDefault());
 // =========== END IO FUNCTIONS ===========
 
+// =========== PROJECT FILES ===========
+// A .skitch project is a versioned JSON bundle around a captureState() snapshot
+// (background image + Fabric objects), so annotations stay editable after reopening.
+const PROJECT_FORMAT = 'simple-skitch';
+const PROJECT_VERSION = 1;
+const PROJECT_EXTENSION = 'skitch';
+let currentProjectPath = null;
+
+function serializeProject() {
+    // The redactions stay editable, but the original pixels under them aren't saved
+    const state = JSON.parse(withRedactionsBurnedIn(captureState));
+
+    // captureState() records the zoomed element size, projects store the true size
+    state.canvasWidth = originalWidth;
+    state.canvasHeight = originalHeight;
+
+    return JSON.stringify({
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        state: state
+    });
+}
+
+function parseProject(json) {
+    const project = JSON.parse(json);
+    if (!project || project.format !== PROJECT_FORMAT || !project.state) {
+        throw new Error('This is not a Simple Skitch project.');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error(`Project version ${project.version} was saved by a newer version of Simple Skitch.`);
+    }
+    return project;
+}
+
+async function loadProject(json, filePath) {
+    // Parse first so a broken file leaves the current document alone
+    const project = parseProject(json);
+
+    historyLock = true;
+
+    originalWidth = project.state.canvasWidth || window.innerWidth;
+    originalHeight = project.state.canvasHeight || window.innerHeight - 50;
+    currentZoom = 1;
+    canvas.setZoom(1);
+    canvas.backgroundImage = null;
+
+    await restoreFromState(JSON.stringify(project.state));
+    currentProjectPath = filePath;
+
+    // The old document's history goes once the project is in. Cleared while the
+    // history is still locked, so no new step is written into the stores being emptied.
+    await clearHistoryStorage();
+
+    // The loaded project becomes the first undo step
+    await new Promise(resolve => setTimeout(resolve, 200));
+    historyLock = false;
+    saveHistory();
+    isModified = false;
+}
+
+async function doSaveProject() {
+    log('Save project clicked');
+    canvas.discardActiveObject();
+    canvas.renderAll();
+
+    const result = await skitch.saveProject({
+        json: serializeProject(),
+        filePath: currentProjectPath
+    });
+    if (result.success) {
+        currentProjectPath = result.filePath;
+        isModified = false;
+        scheduleSessionSave();
+        log('Project saved to ' + result.filePath);
+    }
+}
+// =========== END PROJECT FILES ===========
+
 // Button click handlers
 document.getElementById('btn-new').addEventListener('click', doNew);
+document.getElementById('btn-new-window').addEventListener('click', doNewWindow);
 document.getElementById('btn-open').addEventListener('click', doOpen);
 document.getElementById('btn-save').addEventListener('click', doSave);
+document.getElementById('btn-save-project').addEventListener('click', doSaveProject);
 document.getElementById('btn-copy').addEventListener('click', doCopy);
 document.getElementById('btn-paste').addEventListener('click', doPaste);
+document.getElementById('btn-paste-document').addEventListener('click', doPasteAsDocument);
+document.getElementById('btn-insert-image').addEventListener('click', doInsertImage);
+document.getElementById('btn-timed-capture').addEventListener('click', doTimedCapture);
 document.getElementById('btn-undo').addEventListener('click', performUndo);
 document.getElementById('btn-redo').addEventListener('click', performRedo);
+document.getElementById('btn-document').addEventListener('click', showDocumentDialog);
 document.getElementById('btn-zoom-in').addEventListener('click', () => {
     setZoom(currentZoom * 1.1);
 });
@@ -1228,6 +4271,68 @@ document.getElementById('btn-zoom-out').addEventListener('click', () => {
     setZoom(currentZoom / 1.1);
 });
 
+// =========== SETTINGS ===========
+// Only the defaults that changed are taken over, so a color or width picked in
+// the toolbar stays until that default itself is changed.
+function applySettings(next) {
+    const changed = (key) => JSON.stringify(next[key]) !== JSON.stringify(settings[key]);
+    if (changed('color')) {
+        currentColor = next.color;
+        colorPicker.value = currentColor;
+    }
+    if (changed('strokeWidth')) {
+        currentWidth = next.strokeWidth;
+        widthSlider.value = currentWidth;
+    }
+    if (changed('redactStrength')) {
+        currentRedactStrength = next.redactStrength;
+    }
+    // Rebuild the marker or highlighter brush with the new color and width
+    if ((changed('color') || changed('strokeWidth')) && canvas.isDrawingMode) {
+        setTool(currentTool);
+    }
+    if (changed('shortcuts')) {
+        applyShortcutSettings(next.shortcuts);
+    }
+    settings = next;
+    log('Settings applied');
+}
+
+document.getElementById('btn-preferences').addEventListener('click', () => skitch.openPreferences());
+// =========== END SETTINGS ===========
+
+// Main process events
+skitch.onSettingsChanged(applySettings);
+skitch.onLoadCapturedImage((dataUrl) => doLoadCapture(dataUrl));
+skitch.onLoadDocument(async (payload) => {
+    await historyReady;
+    try {
+        await loadDocument(payload);
+    } catch (err) {
+        historyLock = false;
+        log('Error loading document: ' + err);
+    }
+});
+// Files opened from the command line, "Open with" or the Dock. Several can arrive
+// at once: they are opened one after the other, so only the first goes into an
+// empty window and the others see it has content and get windows of their own.
+let openDocumentQueue = historyReady;
+skitch.onOpenDocument((payload) => {
+    openDocumentQueue = openDocumentQueue.then(async () => {
+        try {
+            await openDocument(payload);
+        } catch (err) {
+            historyLock = false;
+            log('Error opening document: ' + err);
+        }
+    });
+});
+skitch.onRequestClose(doCloseDocument);
+skitch.onFocusCaptureDelay(() => {
+    captureDelayInput.focus();
+    captureDelayInput.select();
+});
+
 // Wait for DOM to be ready, then try to attach events again
 setTimeout(() => {
     const upperCanvas = document.querySelector('.upper-canvas');
@@ -1241,4 +4346,5 @@ setTimeout(() => {
 }, 500);
 
 log('All event handlers registered');
-log('Keyboard shortcuts: Cmd+Z=Undo, Cmd+Shift+Z=Redo, Cmd+C=Copy, Cmd+V=Paste, Cmd+S=Save, Cmd+O=Open, Cmd+N=New, Escape=Cancel');
+log('Keyboard shortcuts: ' + SHORTCUT_COMMANDS.filter(command => shortcutBindings[command.id].length > 0)
+    .map(command => `${shortcutBindings[command.id].map(formatBinding).join('/')}=${command.label}`).join(', '));
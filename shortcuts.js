@@ -0,0 +1,116 @@
+// Keyboard shortcut registry, shared by the document windows and the Preferences
+// window. Every command has an ID and default bindings; the bindings a user changed
+// are stored in the `shortcuts` setting as { commandId: [binding, ...] }.
+//
+// A binding is a string like "Mod+Shift+Z" or "A": modifiers in the order Mod, Alt,
+// Shift, then the key. Mod is Cmd on macOS and Ctrl elsewhere. Letters are upper
+// case, "+" is written "Plus" and the space bar "Space".
+const IS_MAC = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
+
+const SHORTCUT_GROUPS = ['Tools', 'Edit', 'File', 'View'];
+
+const SHORTCUT_COMMANDS = [
+    // One per toolbar tool, the ID is the button's data-tool
+    { id: 'tool.select', group: 'Tools', label: 'Select', keys: ['V'] },
+    { id: 'tool.arrow', group: 'Tools', label: 'Arrow', keys: ['A'] },
+    { id: 'tool.line', group: 'Tools', label: 'Line', keys: ['L'] },
+    { id: 'tool.rectangle', group: 'Tools', label: 'Rectangle', keys: ['R'] },
+    { id: 'tool.rounded-rect', group: 'Tools', label: 'Rounded Rectangle', keys: ['U'] },
+    { id: 'tool.filled-box', group: 'Tools', label: 'Filled Box', keys: ['F'] },
+    { id: 'tool.ellipse', group: 'Tools', label: 'Ellipse', keys: ['E'] },
+    { id: 'tool.text', group: 'Tools', label: 'Text', keys: ['T'] },
+    { id: 'tool.callout', group: 'Tools', label: 'Callout', keys: ['B'] },
+    { id: 'tool.step', group: 'Tools', label: 'Step Marker', keys: ['N'] },
+    { id: 'tool.marker', group: 'Tools', label: 'Marker', keys: ['P'] },
+    { id: 'tool.highlighter', group: 'Tools', label: 'Highlighter', keys: ['H'] },
+    { id: 'tool.crop', group: 'Tools', label: 'Crop', keys: ['C'] },
+    { id: 'tool.mosaic', group: 'Tools', label: 'Redact', keys: ['M'] },
+    { id: 'tool.magnifier', group: 'Tools', label: 'Magnifier', keys: ['G'] },
+    { id: 'tool.spotlight', group: 'Tools', label: 'Spotlight', keys: ['S'] },
+
+    { id: 'edit.undo', group: 'Edit', label: 'Undo', keys: ['Mod+Z'] },
+    { id: 'edit.redo', group: 'Edit', label: 'Redo', keys: ['Mod+Shift+Z', 'Mod+Y'] },
+    { id: 'edit.copy', group: 'Edit', label: 'Copy to Clipboard', keys: ['Mod+C'] },
+    { id: 'edit.paste', group: 'Edit', label: 'Paste from Clipboard', keys: ['Mod+V'] },
+    { id: 'edit.paste-document', group: 'Edit', label: 'Paste as New Document', keys: ['Mod+Shift+V'] },
+    { id: 'edit.delete', group: 'Edit', label: 'Delete Object', keys: ['Delete', 'Backspace'] },
+    { id: 'edit.apply-crop', group: 'Edit', label: 'Apply Crop', keys: ['Enter'] },
+
+    { id: 'file.new', group: 'File', label: 'New Canvas', keys: ['Mod+N'] },
+    { id: 'file.new-window', group: 'File', label: 'New Window', keys: ['Mod+Shift+N'] },
+    { id: 'file.open', group: 'File', label: 'Open Image or Project', keys: ['Mod+O'] },
+    { id: 'file.insert-image', group: 'File', label: 'Insert Image as Layer', keys: ['Mod+Shift+O'] },
+    { id: 'file.save', group: 'File', label: 'Save Image', keys: ['Mod+S'] },
+    { id: 'file.save-project', group: 'File', label: 'Save Project', keys: ['Mod+Shift+S'] },
+    { id: 'file.timed-capture', group: 'File', label: 'Timed Capture', keys: [] },
+    { id: 'file.preferences', group: 'File', label: 'Preferences', keys: ['Mod+,'] },
+
+    { id: 'view.zoom-in', group: 'View', label: 'Zoom In', keys: ['Mod+=', 'Mod+Plus'] },
+    { id: 'view.zoom-out', group: 'View', label: 'Zoom Out', keys: ['Mod+-'] },
+    { id: 'view.zoom-reset', group: 'View', label: 'Actual Size', keys: ['Mod+0'] },
+    { id: 'view.layers', group: 'View', label: 'Layers Panel', keys: [] },
+    { id: 'view.history', group: 'View', label: 'History Panel', keys: [] },
+    { id: 'view.document', group: 'View', label: 'Canvas and Image', keys: [] },
+    { id: 'view.shortcuts', group: 'View', label: 'Keyboard Shortcuts', keys: ['?'] }
+];
+
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta'];
+
+// The binding a key press stands for, or null for a lone modifier
+function bindingFromEvent(e) {
+    if (MODIFIER_KEYS.includes(e.key)) return null;
+    // Ctrl on macOS and the Windows key elsewhere aren't used in bindings
+    if (IS_MAC ? e.ctrlKey : e.metaKey) return null;
+
+    // Shift is part of symbols like "?" or "+" already, whatever the keyboard layout
+    const isSymbol = e.key.length === 1 && !/[a-z0-9 ]/i.test(e.key);
+    let key = e.key;
+    if (key === ' ') key = 'Space';
+    else if (key === '+') key = 'Plus';
+    else if (key.length === 1) key = key.toUpperCase();
+
+    const parts = [];
+    if (IS_MAC ? e.metaKey : e.ctrlKey) parts.push('Mod');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey && !isSymbol) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+// "Mod+Shift+Z" as "Cmd+Shift+Z" on macOS and "Ctrl+Shift+Z" elsewhere
+function formatBinding(binding) {
+    return binding.split('+').map(part => {
+        if (part === 'Mod') return IS_MAC ? 'Cmd' : 'Ctrl';
+        if (part === 'Alt') return IS_MAC ? 'Option' : 'Alt';
+        if (part === 'Plus') return '+';
+        return part;
+    }).join('+');
+}
+
+// Every command's bindings: the user's where they changed them, the defaults otherwise
+function getShortcutBindings(overrides = {}) {
+    const bindings = {};
+    SHORTCUT_COMMANDS.forEach(command => {
+        bindings[command.id] = Array.isArray(overrides[command.id]) ? overrides[command.id] : command.keys;
+    });
+    return bindings;
+}
+
+// Bindings used by more than one command: { binding: [commandId, ...] }
+function findShortcutConflicts(bindings) {
+    const users = {};
+    Object.keys(bindings).forEach(id => {
+        bindings[id].forEach(binding => {
+            (users[binding] = users[binding] || []).push(id);
+        });
+    });
+    const conflicts = {};
+    Object.keys(users).forEach(binding => {
+        if (users[binding].length > 1) conflicts[binding] = users[binding];
+    });
+    return conflicts;
+}
+
+function getShortcutCommand(id) {
+    return SHORTCUT_COMMANDS.find(command => command.id === id);
+}